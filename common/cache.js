@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_ENTRIES = 10000;
+const DEFAULT_MAX_DISK_ENTRIES = 100000;
+const DEFAULT_FINALIZED_HEIGHT_TTL = 5000;
+
+/**
+ * In-memory cache which evicts the least recently used entry once maxEntries is exceeded.
+ * A Map iterates in insertion order so entries are re-inserted whenever they are used.
+ */
+class LRUCache {
+    constructor({maxEntries = DEFAULT_MAX_ENTRIES} = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.evictions = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    get(key) {
+        if (!this.entries.has(key)) {
+            return undefined;
+        }
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions++;
+        }
+    }
+}
+
+/**
+ * Cache which stores each entry as a JSON file in a directory so that it survives restarts.
+ * Files are named after the hash of their key; the least recently used files are deleted once maxEntries is exceeded.
+ */
+class DiskCache {
+    constructor({directory, maxEntries = DEFAULT_MAX_DISK_ENTRIES, logger = console}) {
+        this.directory = directory;
+        this.maxEntries = maxEntries;
+        this.logger = logger;
+        // File names ordered from least to most recently used.
+        this.fileNames = new Set();
+        this.initPromise = null;
+    }
+
+    get size() {
+        return this.fileNames.size;
+    }
+
+    async init() {
+        if (!this.initPromise) {
+            this.initPromise = (async () => {
+                await fs.promises.mkdir(this.directory, {recursive: true});
+                const fileNames = (await fs.promises.readdir(this.directory)).filter((fileName) => fileName.endsWith('.json'));
+                const files = await Promise.all(fileNames.map(async (fileName) => ({
+                    fileName,
+                    modifiedTime: (await fs.promises.stat(path.join(this.directory, fileName))).mtimeMs,
+                })));
+                files.sort((a, b) => a.modifiedTime - b.modifiedTime);
+                for (let {fileName} of files) {
+                    this.fileNames.add(fileName);
+                }
+            })();
+        }
+        return this.initPromise;
+    }
+
+    getFileName(key) {
+        return `${crypto.createHash('sha256').update(key).digest('hex')}.json`;
+    }
+
+    async get(key) {
+        await this.init();
+        const fileName = this.getFileName(key);
+        if (!this.fileNames.has(fileName)) {
+            return undefined;
+        }
+        try {
+            const entry = JSON.parse(await fs.promises.readFile(path.join(this.directory, fileName), 'utf8'));
+            this.fileNames.delete(fileName);
+            this.fileNames.add(fileName);
+            return entry.key === key ? entry.value : undefined;
+        } catch (err) {
+            this.logger.warn(`Failed to read disk cache entry ${fileName} - ${err.message}`);
+            return undefined;
+        }
+    }
+
+    async set(key, value) {
+        await this.init();
+        const fileName = this.getFileName(key);
+        try {
+            await fs.promises.writeFile(path.join(this.directory, fileName), JSON.stringify({key, value}));
+        } catch (err) {
+            this.logger.warn(`Failed to write disk cache entry ${fileName} - ${err.message}`);
+            return;
+        }
+        this.fileNames.delete(fileName);
+        this.fileNames.add(fileName);
+        while (this.fileNames.size > this.maxEntries) {
+            const oldestFileName = this.fileNames.values().next().value;
+            this.fileNames.delete(oldestFileName);
+            await fs.promises.unlink(path.join(this.directory, oldestFileName)).catch(() => {});
+        }
+    }
+}
+
+/**
+ * Caches repository results which can no longer change because they belong to a finalized block.
+ * Results above the finalized height are always loaded from the backend.
+ */
+class RepositoryCache {
+    constructor({config = {}, logger = console, getFinalizedHeight}) {
+        this.logger = logger;
+        this.getFinalizedHeight = getFinalizedHeight;
+        const maxEntries = config.cacheMaxEntries == null ? DEFAULT_MAX_ENTRIES : config.cacheMaxEntries;
+        this.isEnabled = maxEntries > 0;
+        this.memoryCache = new LRUCache({maxEntries});
+        // Heights of the blocks which have been seen so that results which are looked up by block ID can be cached.
+        // They are also tracked when caching is disabled since other components rely on them.
+        this.blockHeights = new LRUCache({maxEntries: maxEntries || DEFAULT_MAX_ENTRIES});
+        this.diskCache = config.cacheDirectory ? new DiskCache({
+            directory: config.cacheDirectory,
+            maxEntries: config.diskCacheMaxEntries,
+            logger,
+        }) : null;
+        this.finalizedHeightTTL = config.finalizedHeightCacheTTL == null ? DEFAULT_FINALIZED_HEIGHT_TTL : config.finalizedHeightCacheTTL;
+        this.finalizedHeight = -1;
+        this.finalizedHeightExpiry = 0;
+        this.stats = {hits: 0, diskHits: 0, misses: 0, skipped: 0};
+    }
+
+    rememberBlockHeights(blocks) {
+        for (let block of blocks) {
+            if (block) {
+                this.blockHeights.set(block.id, block.height);
+            }
+        }
+    }
+
+    getBlockHeight(blockId) {
+        return this.blockHeights.has(blockId) ? this.blockHeights.get(blockId) : null;
+    }
+
+    /**
+     * The finalized height can only increase so a stale value is safe to use; it is only refreshed when
+     * a more recent height needs to be checked.
+     */
+    async isFinalized(height) {
+        if (height <= this.finalizedHeight) {
+            return true;
+        }
+        if (Date.now() >= this.finalizedHeightExpiry) {
+            this.finalizedHeight = await this.getFinalizedHeight();
+            this.finalizedHeightExpiry = Date.now() + this.finalizedHeightTTL;
+        }
+        return height <= this.finalizedHeight;
+    }
+
+    async getCached(key) {
+        const memoryValue = this.memoryCache.get(key);
+        if (memoryValue !== undefined) {
+            return memoryValue;
+        }
+        if (this.diskCache) {
+            const diskValue = await this.diskCache.get(key);
+            if (diskValue !== undefined) {
+                this.stats.diskHits++;
+                this.memoryCache.set(key, diskValue);
+                return diskValue;
+            }
+        }
+        return undefined;
+    }
+
+    async setCached(key, value) {
+        this.memoryCache.set(key, value);
+        if (this.diskCache) {
+            await this.diskCache.set(key, value);
+        }
+    }
+
+    /**
+     * Returns the cached value for the key or loads it; the loaded value is cached if the block at the given
+     * height is finalized. If the height is not known in advance, getHeight is used to derive it from the value.
+     * @param key - Cache key which identifies the request
+     * @param height - Height of the block which the value belongs to; null if unknown
+     * @param load - Function which loads the value from the backend
+     * @param getHeight - Optional function which returns the block height of the loaded value or null
+     * @returns {Promise<*>}
+     */
+    async get(key, height, load, getHeight = () => null) {
+        if (!this.isEnabled) {
+            return load();
+        }
+        const cachedValue = await this.getCached(key);
+        if (cachedValue !== undefined) {
+            this.stats.hits++;
+            return cachedValue;
+        }
+        this.stats.misses++;
+        const value = await load();
+        const valueHeight = height == null ? getHeight(value) : height;
+        if (value != null && valueHeight != null && await this.isFinalized(valueHeight)) {
+            await this.setCached(key, value);
+        } else {
+            this.stats.skipped++;
+        }
+        return value;
+    }
+
+    /**
+     * Same as get for values which belong to the block with the given ID.
+     */
+    async getByBlockId(key, blockId, load, getHeight) {
+        return this.get(key, this.getBlockHeight(blockId), load, getHeight);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            entries: this.memoryCache.size,
+            evictions: this.memoryCache.evictions,
+            diskEntries: this.diskCache ? this.diskCache.size : 0,
+        };
+    }
+}
+
+module.exports = {
+    LRUCache,
+    DiskCache,
+    RepositoryCache,
+};
@@ -0,0 +1,244 @@
+const http = require('http');
+const url = require('url');
+
+const DEFAULT_METRICS_HOST = '127.0.0.1';
+const DEFAULT_METRICS_PATH = '/metrics';
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// Default buckets of the Prometheus client libraries in seconds.
+const DEFAULT_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (!entries.length) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return String(value);
+};
+
+/**
+ * Base class of a metric which holds one value per combination of label values.
+ */
+class Metric {
+    constructor({name, help, labelNames = []}) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // Series by serialized label values.
+        this.series = new Map();
+    }
+
+    getSeriesKey(labels) {
+        return JSON.stringify(this.labelNames.map((labelName) => labels[labelName] == null ? '' : String(labels[labelName])));
+    }
+
+    getSeries(labels, createValue) {
+        const key = this.getSeriesKey(labels);
+        if (!this.series.has(key)) {
+            let seriesLabels = {};
+            for (let labelName of this.labelNames) {
+                seriesLabels[labelName] = labels[labelName] == null ? '' : labels[labelName];
+            }
+            this.series.set(key, {labels: seriesLabels, value: createValue()});
+        }
+        return this.series.get(key);
+    }
+
+    get(labels = {}) {
+        const series = this.series.get(this.getSeriesKey(labels));
+        return series ? series.value : null;
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    serialize() {
+        return [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`,
+            ...[...this.series.values()].flatMap((series) => this.serializeSeries(series)),
+        ].join('\n');
+    }
+
+    serializeSeries({labels, value}) {
+        return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+    }
+}
+
+class Counter extends Metric {
+    get type() {
+        return 'counter';
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels, () => 0).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    get type() {
+        return 'gauge';
+    }
+
+    set(labels, value) {
+        this.getSeries(labels, () => 0).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor({buckets = DEFAULT_DURATION_BUCKETS, ...options}) {
+        super(options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    get type() {
+        return 'histogram';
+    }
+
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => ({bucketCounts: this.buckets.map(() => 0), sum: 0, count: 0}));
+        const bucketIndex = this.buckets.findIndex((bucket) => value <= bucket);
+        if (bucketIndex !== -1) {
+            series.value.bucketCounts[bucketIndex]++;
+        }
+        series.value.sum += value;
+        series.value.count++;
+    }
+
+    // Bucket counts are cumulative in the exposition format.
+    serializeSeries({labels, value: {bucketCounts, sum, count}}) {
+        let cumulativeCount = 0;
+        return [
+            ...this.buckets.map((bucket, index) => {
+                cumulativeCount += bucketCounts[index];
+                return `${this.name}_bucket${formatLabels({...labels, le: formatValue(bucket)})} ${cumulativeCount}`;
+            }),
+            `${this.name}_bucket${formatLabels({...labels, le: '+Inf'})} ${count}`,
+            `${this.name}_sum${formatLabels(labels)} ${sum}`,
+            `${this.name}_count${formatLabels(labels)} ${count}`,
+        ];
+    }
+}
+
+/**
+ * Holds metrics and renders them in the Prometheus text exposition format. Collectors are invoked before
+ * the metrics are rendered so that values which are expensive to keep up to date can be read on demand.
+ */
+class MetricsRegistry {
+    constructor({logger = console} = {}) {
+        this.logger = logger;
+        this.metrics = new Map();
+        this.collectors = [];
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            return this.metrics.get(metric.name);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    createCounter(options) {
+        return this.register(new Counter(options));
+    }
+
+    createGauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    createHistogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    addCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    async serialize() {
+        for (let collector of this.collectors) {
+            try {
+                await collector();
+            } catch (err) {
+                this.logger.warn(`Failed to collect metrics - ${err.message}`);
+            }
+        }
+        return `${[...this.metrics.values()].map((metric) => metric.serialize()).join('\n')}\n`;
+    }
+}
+
+/**
+ * Serves the metrics of a registry over HTTP for Prometheus to scrape.
+ */
+class MetricsServer {
+    constructor({registry, config = {}, logger = console}) {
+        this.registry = registry;
+        this.logger = logger;
+        this.host = config.host || DEFAULT_METRICS_HOST;
+        this.port = config.port;
+        this.path = config.path || DEFAULT_METRICS_PATH;
+        this.httpServer = http.createServer((req, res) => this.handleHTTPRequest(req, res));
+    }
+
+    get url() {
+        const {address, port} = this.httpServer.address();
+        return `http://${address}:${port}${this.path}`;
+    }
+
+    async start() {
+        await new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.port, this.host, () => {
+                this.httpServer.removeListener('error', reject);
+                resolve();
+            });
+        });
+    }
+
+    async stop() {
+        await new Promise((resolve) => this.httpServer.close(resolve));
+    }
+
+    async handleHTTPRequest(req, res) {
+        const {pathname} = url.parse(req.url);
+        if (pathname !== this.path) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        if (req.method !== 'GET') {
+            res.writeHead(405, {Allow: 'GET'});
+            res.end();
+            return;
+        }
+        try {
+            const body = await this.registry.serialize();
+            res.writeHead(200, {'Content-Type': PROMETHEUS_CONTENT_TYPE});
+            res.end(body);
+        } catch (err) {
+            this.logger.error(`Failed to serve metrics - ${err.message}`);
+            res.writeHead(500);
+            res.end();
+        }
+    }
+}
+
+module.exports = {
+    Counter,
+    Gauge,
+    Histogram,
+    MetricsRegistry,
+    MetricsServer,
+};
@@ -50,6 +50,15 @@ const bufferToString = (hexBuffer) => hexBuffer.toString('hex');
 
 const wait = (duration) => new Promise(resolve => setTimeout(resolve, duration));
 
+// Rejects if the promise does not settle within the duration; the operation itself is not cancelled.
+const withTimeout = (promise, duration, message) => {
+    let timeout;
+    const timeoutPromise = new Promise((resolve, reject) => {
+        timeout = setTimeout(() => reject(new Error(message)), duration);
+    });
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timeout));
+};
+
 module.exports = {
     isNullOrUndefinedOrEmpty,
     firstOrDefault,
@@ -62,6 +71,7 @@ module.exports = {
     firstOrNull,
     arrOrDefault,
     wait,
+    withTimeout,
     toBuffer,
     computeDEXTransactionId,
     bufferToString,
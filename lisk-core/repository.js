@@ -0,0 +1,497 @@
+const {
+    apiClient: liskApiClient,
+    codec: {codec: liskCodec},
+    cryptography: liskCryptography,
+} = require('@liskhq/lisk-client');
+const axios = require('axios');
+
+const {firstOrNull, withTimeout} = require('../common/utils');
+const {RepositoryCache} = require('../common/cache');
+const {ccmProcessedEventDataSchema, commandExecutionResultEventDataSchema, transactionParamsSchemas} = require('../liskv3/schemas');
+const {CCM_PROCESSED_EVENT, INTEROPERABILITY_MODULE, getCrossChainTransferCredits} = require('../liskv3/interoperability');
+
+const DEFAULT_RPC_URL = 'http://localhost:7887/rpc';
+const DEFAULT_ACK_TIMEOUT = 20000;
+const DEFAULT_BLOCK_BATCH_SIZE = 100;
+const DEFAULT_MAX_SCAN_BLOCKS = 10000;
+// Number of items which are returned if no limit is specified; the page size of Lisk Service.
+const DEFAULT_LIMIT = 100;
+
+const TOKEN_TRANSFER_MODULE_COMMAND = 'token:transfer';
+const COMMAND_EXECUTION_RESULT_EVENT = 'commandExecutionResult';
+
+class LiskCoreRPCError extends Error {
+    constructor(method, {code, message, data}) {
+        super(`Lisk Core RPC method ${method} failed - ${message}`);
+        this.name = 'LiskCoreRPCError';
+        this.code = code;
+        this.data = data;
+    }
+}
+
+const isNotFoundRPCError = (err) => err instanceof LiskCoreRPCError && /does not exist|not found/i.test(err.message);
+
+// The WS client of lisk-api-client rejects with a plain Error which only keeps the message of an RPC error; failures of
+// the connection itself are recognised by their messages so that every other error can be handled as over HTTP.
+const WS_TRANSPORT_ERROR_PATTERN = /^(Websocket client is not connected|Response not received in)/;
+
+/**
+ * Repository which reads chain data directly from a Lisk Core v4 node over JSON-RPC.
+ * It exposes the same methods as LiskServiceRepository and returns results in the same shape
+ * (refer to lisk-service/repository.js) so that the adapter can use either of them.
+ */
+class LiskCoreRepository {
+    constructor({config = {}, logger = console}) {
+        this.logger = logger;
+        this.rpcURL = config.coreRPCURL || DEFAULT_RPC_URL;
+        this.chainSymbol = config.chainSymbol || 'lsk';
+        this.blockBatchSize = config.coreBlockBatchSize || DEFAULT_BLOCK_BATCH_SIZE;
+        this.maxScanBlocks = config.coreMaxScanBlocks || DEFAULT_MAX_SCAN_BLOCKS;
+        this.axiosClient = axios.create({
+            timeout: config.ackTimeout == null ? DEFAULT_ACK_TIMEOUT : config.ackTimeout
+        });
+        this.wsClient = null;
+        this.nextRequestId = 1;
+        this.lastSuccessfulResponseTime = null;
+        this.cache = new RepositoryCache({config, logger, getFinalizedHeight: () => this.getFinalizedHeight()});
+    }
+
+    getCacheStats() {
+        return this.cache.getStats();
+    }
+
+    getConnectionStatus() {
+        return {
+            endpoint: this.rpcURL,
+            lastSuccessfulResponseTime: this.lastSuccessfulResponseTime,
+        };
+    }
+
+    getKnownBlockHeight(blockId) {
+        return this.cache.getBlockHeight(blockId);
+    }
+
+    isWsURL() {
+        return this.rpcURL.startsWith('ws://') || this.rpcURL.startsWith('wss://');
+    }
+
+    async getWsClient() {
+        if (!this.wsClient) {
+            this.wsClient = liskApiClient.createWSClient(this.rpcURL).catch((err) => {
+                this.wsClient = null;
+                throw err;
+            });
+        }
+        return this.wsClient;
+    }
+
+    /**
+     * Invokes a JSON-RPC method on the Lisk Core node
+     * @param method - RPC method name, e.g. chain_getBlockByHeight
+     * @param params - RPC params object
+     * @returns {Promise<*>}
+     */
+    async invoke(method, params = {}) {
+        if (this.isWsURL()) {
+            const wsClient = await this.getWsClient();
+            let result;
+            try {
+                result = await wsClient.invoke(method, params);
+            } catch (err) {
+                if (WS_TRANSPORT_ERROR_PATTERN.test(err.message)) {
+                    throw err;
+                }
+                throw new LiskCoreRPCError(method, {message: err.message});
+            }
+            this.lastSuccessfulResponseTime = Date.now();
+            return result;
+        }
+        const response = await this.axiosClient.post(this.rpcURL, {
+            jsonrpc: '2.0',
+            id: this.nextRequestId++,
+            method,
+            params,
+        });
+        if (response.data.error) {
+            throw new LiskCoreRPCError(method, response.data.error);
+        }
+        this.lastSuccessfulResponseTime = Date.now();
+        return response.data.result;
+    }
+
+    async disconnect() {
+        if (this.wsClient) {
+            const wsClient = await this.wsClient;
+            this.wsClient = null;
+            await wsClient.disconnect();
+        }
+    }
+
+    toServiceBlock({header, transactions = []}) {
+        return {
+            id: header.id,
+            height: header.height,
+            timestamp: header.timestamp,
+            previousBlockID: header.previousBlockID,
+            generatorAddress: header.generatorAddress,
+            numberOfTransactions: transactions.length,
+        };
+    }
+
+    /**
+     * Addresses are encoded with the prefix of the chain (chainSymbol), as they are by Lisk Service.
+     */
+    toServiceTransaction(transaction, header) {
+        const moduleCommand = `${transaction.module}:${transaction.command}`;
+        const params = liskCodec.decodeJSON(transactionParamsSchemas[moduleCommand], Buffer.from(transaction.params, 'hex'));
+        params.recipientAddress = liskCryptography.address.getLisk32AddressFromAddress(
+            liskCryptography.address.getAddressFromLisk32Address(params.recipientAddress),
+            this.chainSymbol
+        );
+        return {
+            id: transaction.id,
+            moduleCommand,
+            nonce: transaction.nonce,
+            fee: transaction.fee,
+            sender: {
+                address: liskCryptography.address.getLisk32AddressFromPublicKey(Buffer.from(transaction.senderPublicKey, 'hex'), this.chainSymbol),
+                publicKey: transaction.senderPublicKey,
+            },
+            params,
+            signatures: transaction.signatures,
+            block: {
+                id: header.id,
+                height: header.height,
+                timestamp: header.timestamp,
+            },
+        };
+    }
+
+    /**
+     * Event data is returned encoded by Lisk Core; only the data of ccmProcessed events is decoded.
+     */
+    toServiceEvent(event) {
+        if (event.module !== INTEROPERABILITY_MODULE || event.name !== CCM_PROCESSED_EVENT) {
+            return event;
+        }
+        return {
+            ...event,
+            data: liskCodec.decodeJSON(ccmProcessedEventDataSchema, Buffer.from(event.data, 'hex')),
+        };
+    }
+
+    /**
+     * Returns same-chain and cross-chain token transfers from the block which match the filter. Inbound
+     * transfers are only those of the token:transfer command since a cross-chain transfer is credited on another chain.
+     */
+    getTokenTransferTransactions(block, {senderAddress, recipientAddress, tokenID}) {
+        return block.transactions
+            .filter((transaction) => transactionParamsSchemas[`${transaction.module}:${transaction.command}`])
+            .map((transaction) => this.toServiceTransaction(transaction, block.header))
+            .filter((transaction) =>
+                (recipientAddress == null || transaction.moduleCommand === TOKEN_TRANSFER_MODULE_COMMAND) &&
+                (senderAddress == null || transaction.sender.address === senderAddress) &&
+                (recipientAddress == null || transaction.params.recipientAddress === recipientAddress) &&
+                (tokenID == null || transaction.params.tokenID === tokenID)
+            );
+    }
+
+    async postTransaction(transaction) {
+        const {transactionId} = await this.invoke('txpool_postTransaction', {transaction});
+        return {transactionID: transactionId};
+    }
+
+    async dryRunTransaction(transaction) {
+        const {result, events = [], errorMessage} = await this.invoke('txpool_dryRunTransaction', {transaction});
+        return {result, events, errorMessage};
+    }
+
+    async getNodeInfo() {
+        return this.invoke('system_getNodeInfo');
+    }
+
+    async getNetworkStatus() {
+        return {data: await this.getNodeInfo()};
+    }
+
+    // Requests to the node are not retried so only the timeout is shorter than the one of getNetworkStatus.
+    async probeNetworkStatus(timeout) {
+        return {data: await withTimeout(this.getNodeInfo(), timeout, `Lisk Core node did not respond within ${timeout}ms`)};
+    }
+
+    async getFinalizedHeight() {
+        return (await this.getNodeInfo()).finalizedHeight;
+    }
+
+    async getFees() {
+        const [{minFeePerByte}, {tokenID: feeTokenID}] = await Promise.all([
+            this.invoke('fee_getMinFeePerByte'),
+            this.invoke('fee_getFeeTokenID'),
+        ]);
+        return {
+            data: {
+                feeEstimatePerByte: {low: 0, medium: 0, high: 0},
+                minFeePerByte,
+                feeTokenID,
+            },
+        };
+    }
+
+    async getAuth(walletAddress) {
+        return this.invoke('auth_getAuthAccount', {address: walletAddress});
+    }
+
+    async getAccountNonce(walletAddress) {
+        const accountAuth = await this.getAuth(walletAddress);
+        return accountAuth ? accountAuth.nonce : null;
+    }
+
+    async getTokenBalance(walletAddress, tokenID) {
+        const balance = await this.invoke('token_getBalance', {address: walletAddress, tokenID});
+        return {tokenID, ...balance};
+    }
+
+    /**
+     * Fetches full blocks (header and transactions) between the given heights, inclusive, in ascending order
+     * @returns {Promise<Array>}
+     */
+    async getRawBlocksBetweenHeights(fromHeight, toHeight) {
+        let blocks = [];
+        for (let batchFromHeight = fromHeight; batchFromHeight <= toHeight; batchFromHeight += this.blockBatchSize) {
+            const batchToHeight = Math.min(batchFromHeight + this.blockBatchSize - 1, toHeight);
+            const batch = await this.invoke('chain_getBlocksByHeightBetween', {from: batchFromHeight, to: batchToHeight});
+            blocks.push(...batch);
+        }
+        return blocks.sort((a, b) => a.header.height - b.header.height);
+    }
+
+    async getRawBlockAtHeight(height) {
+        return firstOrNull(await this.invoke('chain_getBlocksByHeightBetween', {from: height, to: height}));
+    }
+
+    /**
+     * Finds the height of the first block with a timestamp greater than or equal to the given timestamp
+     * @returns {Promise<number>}
+     */
+    async findHeightFromTimestamp(timestamp, lowHeight, highHeight) {
+        while (lowHeight < highHeight) {
+            const midHeight = Math.floor((lowHeight + highHeight) / 2);
+            const block = await this.getRawBlockAtHeight(midHeight);
+            if (block && block.header.timestamp < timestamp) {
+                lowHeight = midHeight + 1;
+            } else {
+                highHeight = midHeight;
+            }
+        }
+        return lowHeight;
+    }
+
+    /**
+     * Scans blocks from the first one after fromTimestamp (or the last one up to it in desc order) until the limit
+     * is reached or there are no more blocks, so that the same transactions are returned as by Lisk Service.
+     */
+    async getOutboundTransactions(senderAddress, fromTimestamp, limit, order = 'asc', tokenID) {
+        if (limit == null) {
+            limit = DEFAULT_LIMIT;
+        }
+        const [{genesisHeight = 0}, {header: lastHeader}] = await Promise.all([
+            this.getNodeInfo(),
+            this.invoke('chain_getLastBlock'),
+        ]);
+        const filter = {senderAddress, tokenID};
+        let transactions = [];
+
+        if (order === 'asc') {
+            const startHeight = await this.findHeightFromTimestamp(fromTimestamp, genesisHeight, lastHeader.height + 1);
+            for (let height = startHeight; height <= lastHeader.height && transactions.length < limit; height += this.blockBatchSize) {
+                const blocks = await this.getRawBlocksBetweenHeights(height, Math.min(height + this.blockBatchSize - 1, lastHeader.height));
+                for (let block of blocks) {
+                    transactions.push(...this.getTokenTransferTransactions(block, filter));
+                }
+            }
+        } else {
+            const startHeight = await this.findHeightFromTimestamp(fromTimestamp + 1, genesisHeight, lastHeader.height + 1) - 1;
+            for (let height = startHeight; height >= genesisHeight && transactions.length < limit; height -= this.blockBatchSize) {
+                const blocks = await this.getRawBlocksBetweenHeights(Math.max(height - this.blockBatchSize + 1, genesisHeight), height);
+                for (let block of blocks.reverse()) {
+                    transactions.push(...this.getTokenTransferTransactions(block, filter).reverse());
+                }
+            }
+        }
+        return transactions.slice(0, limit);
+    }
+
+    /**
+     * Looks for a token transfer with the given nonce in the transaction pool and then in recent blocks.
+     * Lisk Core does not index transactions by sender so at most maxScanBlocks blocks are scanned; null is only
+     * returned if the whole chain was scanned, otherwise the transaction may be in an older block so an error is thrown.
+     * @returns {Promise<*>}
+     */
+    async getTransactionBySenderAndNonce(senderAddress, nonce) {
+        const nonceString = String(nonce);
+        const pooledTransactions = await this.invoke('txpool_getTransactionsFromPool', {address: senderAddress});
+        const pooledTransaction = pooledTransactions.find((transaction) => transaction.nonce === nonceString);
+        if (pooledTransaction) {
+            return {id: pooledTransaction.id, nonce: pooledTransaction.nonce, executionStatus: 'pending'};
+        }
+
+        const [{genesisHeight = 0}, {header: lastHeader}] = await Promise.all([
+            this.getNodeInfo(),
+            this.invoke('chain_getLastBlock'),
+        ]);
+        const endHeight = Math.max(genesisHeight, lastHeader.height - this.maxScanBlocks + 1);
+        for (let height = lastHeader.height; height >= endHeight; height -= this.blockBatchSize) {
+            const blocks = await this.getRawBlocksBetweenHeights(Math.max(height - this.blockBatchSize + 1, endHeight), height);
+            for (let block of blocks.reverse()) {
+                const transaction = this.getTokenTransferTransactions(block, {senderAddress})
+                    .find((blockTransaction) => blockTransaction.nonce === nonceString);
+                if (transaction) {
+                    return {...transaction, executionStatus: await this.getExecutionStatus(transaction)};
+                }
+            }
+        }
+        if (endHeight > genesisHeight) {
+            throw new Error(`Transaction with nonce ${nonceString} from account address ${senderAddress} was not found in the last ${this.maxScanBlocks} blocks and older blocks are not scanned`);
+        }
+        return null;
+    }
+
+    /**
+     * Lisk Core does not store whether a transaction was executed successfully; it is read from the
+     * commandExecutionResult event of the transaction.
+     * @returns {Promise<string>} - successful or failed
+     */
+    async getExecutionStatus(transaction) {
+        const events = await this.invoke('chain_getEvents', {height: transaction.block.height});
+        const resultEvent = events.find((event) => event.name === COMMAND_EXECUTION_RESULT_EVENT && event.topics[0] === transaction.id);
+        if (!resultEvent) {
+            throw new Error(`Execution result of transaction ${transaction.id} was not found`);
+        }
+        const {success} = liskCodec.decode(commandExecutionResultEventDataSchema, Buffer.from(resultEvent.data, 'hex'));
+        return success ? 'successful' : 'failed';
+    }
+
+    async getTransactionsBetweenHeights(fromHeight, toHeight, filter) {
+        let transactions = [];
+        // Blocks are fetched in batches so that only the matching transfers are held in memory.
+        for (let batchFromHeight = fromHeight; batchFromHeight <= toHeight; batchFromHeight += this.blockBatchSize) {
+            const blocks = await this.getRawBlocksBetweenHeights(batchFromHeight, Math.min(batchFromHeight + this.blockBatchSize - 1, toHeight));
+            for (let block of blocks) {
+                transactions.push(...this.getTokenTransferTransactions(block, filter));
+            }
+        }
+        return transactions;
+    }
+
+    async getInboundTransactionsBetweenHeights(recipientAddress, fromHeight, toHeight, tokenID) {
+        return this.getTransactionsBetweenHeights(fromHeight, toHeight, {recipientAddress, tokenID});
+    }
+
+    async getOutboundTransactionsBetweenHeights(senderAddress, fromHeight, toHeight, tokenID) {
+        return this.getTransactionsBetweenHeights(fromHeight, toHeight, {senderAddress, tokenID});
+    }
+
+    /**
+     * Lisk Core can only return the events of a single height; cross-chain messages are only processed by
+     * interoperability commands so the events are only requested for the blocks which contain one.
+     */
+    async getInboundCrossChainTransfersBetweenHeights(recipientAddress, fromHeight, toHeight, tokenID) {
+        let transfers = [];
+        for (let batchFromHeight = fromHeight; batchFromHeight <= toHeight; batchFromHeight += this.blockBatchSize) {
+            const blocks = await this.getRawBlocksBetweenHeights(batchFromHeight, Math.min(batchFromHeight + this.blockBatchSize - 1, toHeight));
+            for (let block of blocks) {
+                if (block.transactions.some((transaction) => transaction.module === INTEROPERABILITY_MODULE)) {
+                    transfers.push(...await this.getCrossChainTransferCreditsFromBlock(block, {recipientAddress, tokenID}));
+                }
+            }
+        }
+        return transfers;
+    }
+
+    async getRawBlockById(blockId) {
+        try {
+            const block = await this.invoke('chain_getBlockByID', {id: blockId});
+            this.cache.rememberBlockHeights([block.header]);
+            return block;
+        } catch (err) {
+            if (isNotFoundRPCError(err)) {
+                return null;
+            }
+            throw err;
+        }
+    }
+
+    async getInboundTransactionsFromBlock(recipientAddress, blockId, tokenID) {
+        return this.cache.getByBlockId(`inboundTransactionsFromBlock:${recipientAddress}:${blockId}:${tokenID}`, blockId, async () => {
+            const block = await this.getRawBlockById(blockId);
+            return block ? this.getTokenTransferTransactions(block, {recipientAddress, tokenID}) : [];
+        }, () => this.cache.getBlockHeight(blockId));
+    }
+
+    async getInboundCrossChainTransfersFromBlock(recipientAddress, blockId, tokenID) {
+        return this.cache.getByBlockId(`inboundCrossChainTransfersFromBlock:${recipientAddress}:${blockId}:${tokenID}`, blockId, async () => {
+            const block = await this.getRawBlockById(blockId);
+            if (!block) {
+                return [];
+            }
+            return this.getCrossChainTransferCreditsFromBlock(block, {recipientAddress, tokenID});
+        }, () => this.cache.getBlockHeight(blockId));
+    }
+
+    async getCrossChainTransferCreditsFromBlock(block, filter) {
+        const events = await this.invoke('chain_getEvents', {height: block.header.height});
+        return getCrossChainTransferCredits(events.map((event) => this.toServiceEvent(event)), block.header, filter, this.chainSymbol);
+    }
+
+    async getOutboundTransactionsFromBlock(senderAddress, blockId, tokenID) {
+        return this.cache.getByBlockId(`outboundTransactionsFromBlock:${senderAddress}:${blockId}:${tokenID}`, blockId, async () => {
+            const block = await this.getRawBlockById(blockId);
+            return block ? this.getTokenTransferTransactions(block, {senderAddress, tokenID}) : [];
+        }, () => this.cache.getBlockHeight(blockId));
+    }
+
+    async getLastBlock() {
+        const block = this.toServiceBlock(await this.invoke('chain_getLastBlock'));
+        this.cache.rememberBlockHeights([block]);
+        return block;
+    }
+
+    async getBlocksBetweenHeights(fromHeight, toHeight, limit) {
+        if (fromHeight == null) {
+            fromHeight = (await this.getNodeInfo()).genesisHeight || 0;
+        }
+        if (toHeight == null) {
+            toHeight = (await this.getLastBlock()).height;
+        }
+        if (limit == null) {
+            limit = DEFAULT_LIMIT;
+        }
+        // The range includes fromHeight and is limited before fromHeight is excluded, as with Lisk Service.
+        const upperHeight = Math.min(toHeight, fromHeight + limit - 1);
+        const blocks = (await this.getRawBlocksBetweenHeights(fromHeight, upperHeight))
+            .map((block) => this.toServiceBlock(block))
+            .filter((block) => block.height !== fromHeight);
+        this.cache.rememberBlockHeights(blocks);
+        return blocks;
+    }
+
+    async getBlockAtHeight(height) {
+        const block = await this.cache.get(`blockAtHeight:${height}`, height, async () => {
+            const rawBlock = await this.getRawBlockAtHeight(height);
+            return rawBlock ? this.toServiceBlock(rawBlock) : null;
+        });
+        this.cache.rememberBlockHeights([block]);
+        return block;
+    }
+
+    async getBlockById(blockId) {
+        const block = await this.cache.get(`blockById:${blockId}`, null, async () => {
+            const rawBlock = await this.getRawBlockById(blockId);
+            return rawBlock ? this.toServiceBlock(rawBlock) : null;
+        }, (block) => block && block.height);
+        this.cache.rememberBlockHeights([block]);
+        return block;
+    }
+}
+
+module.exports = LiskCoreRepository;
@@ -0,0 +1,15 @@
+class ServiceRequestError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.type = 'ServiceRequestError';
+        this.cause = cause;
+        // A transport error means that no HTTP response was received (e.g. timeout or connection failure).
+        this.isTransportError = !cause.response;
+        this.status = cause.response ? cause.response.status : null;
+        this.isNotFound = this.status === 404;
+    }
+}
+
+module.exports = {
+    ServiceRequestError,
+};
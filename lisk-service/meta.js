@@ -37,6 +37,7 @@ const Store = {
             search: 'search', // Wildcard search
             data: 'data', // Wildcard search
             includePending: 'includePending',
+            executionStatus: 'executionStatus', // Comma separated list of pending, successful, failed
             nonce: 'nonce', // In conjunction with senderAddress
             limit: 'limit',
             offset: 'offset',
@@ -48,7 +49,38 @@ const Store = {
             timestampAsc: 'timestamp:asc',
             timestampDesc: 'timestamp:desc',
         },
-    }
+        executionStatus: {
+            pending: 'pending',
+            successful: 'successful',
+            failed: 'failed',
+        },
+    },
+    Events: {
+        path: '/api/v3/events',
+        filter: {
+            transactionId: 'transactionID',
+            senderAddress: 'senderAddress',
+            topic: 'topic',
+            blockId: 'blockID',
+            height: 'height',
+            timestamp: 'timestamp',
+            limit: 'limit',
+            offset: 'offset',
+            sort: 'sort',
+        },
+    },
+    TokenBalances: {
+        path: '/api/v3/token/balances',
+        filter: {
+            address: 'address',
+            tokenID: 'tokenID',
+            limit: 'limit',
+            offset: 'offset',
+        },
+    },
+    TransactionsDryRun: {
+        path: '/api/v3/transactions/dryrun',
+    },
 };
 
 module.exports = Store;
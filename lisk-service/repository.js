@@ -1,18 +1,167 @@
-const {firstOrNull} = require('../common/utils');
+const {firstOrNull, wait} = require('../common/utils');
+const {RepositoryCache} = require('../common/cache');
+const {MetricsRegistry} = require('../common/metrics');
+const {getCrossChainTransferCredits} = require('../liskv3/interoperability');
 
 const metaStore = require('./meta');
+const {ServiceRequestError} = require('./errors');
 const axios = require('axios');
 
 const DEFAULT_MAIN_NET_URL = 'https://service.lisk.com';
 const DEFAULT_ACK_TIMEOUT = 20000;
+const DEFAULT_NODE_COOL_DOWN = 30000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_BASE_DELAY = 500;
+const DEFAULT_RETRY_MAX_DELAY = 10000;
+// Block height of the transactions which were found in a block; null if there are none.
+const getTransactionsHeight = (transactions) => transactions.length ? transactions[0].block.height : null;
+
+// Maximum number of items which Lisk Service returns per request.
+const MAX_PAGE_LIMIT = 100;
+
+// Error codes of connection failures which happen before the request reaches the node.
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Timeouts, connection failures and 5xx responses indicate that the node itself is at fault.
+const isNodeFailure = (err) => !err.response || err.response.status >= 500;
+
+const isRateLimited = (err) => !!err.response && err.response.status === 429;
+
+// It is only safe to re-send a non-idempotent request if the node never received it.
+const isUnsentRequest = (err) => !err.response && CONNECTION_ERROR_CODES.includes(err.code);
+
+// Returns the delay in milliseconds from the Retry-After header which can be expressed in seconds or as a date.
+const getRetryAfter = (err) => {
+    const retryAfter = err.response && err.response.headers && err.response.headers['retry-after'];
+    if (retryAfter == null) {
+        return 0;
+    }
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+        return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? 0 : Math.max(date - Date.now(), 0);
+};
+
+const TOKEN_TRANSFER_MODULE_COMMAND = 'token:transfer';
+const TOKEN_TRANSFER_MODULE_COMMANDS = [TOKEN_TRANSFER_MODULE_COMMAND, 'token:transferCrossChain'];
+
+// Lisk Service can only filter by a single moduleCommand so outbound cross-chain transfers are matched locally.
+const isTokenTransfer = (transaction) => TOKEN_TRANSFER_MODULE_COMMANDS.includes(transaction.moduleCommand);
+
+const hasTokenID = (tokenID) => (transaction) => isTokenTransfer(transaction) && transaction.params && transaction.params.tokenID === tokenID;
 
 class LiskServiceRepository {
-    constructor({config = {}, logger = console}) {
-        this.serviceURL = config.serviceURL || DEFAULT_MAIN_NET_URL;
+    constructor({config = {}, logger = console, metrics = new MetricsRegistry({logger})}) {
+        this.logger = logger;
+        const serviceURLs = config.serviceURLs || [config.serviceURL || DEFAULT_MAIN_NET_URL, ...(config.fallbacks || [])];
+        this.serviceNodes = serviceURLs.map((url) => ({url, unhealthyUntil: 0}));
+        this.chainSymbol = config.chainSymbol || 'lsk';
+        // Service node which responded last and the time of its response.
+        this.activeServiceURL = null;
+        this.lastSuccessfulResponseTime = null;
+        this.nodeCoolDown = config.nodeCoolDown == null ? DEFAULT_NODE_COOL_DOWN : config.nodeCoolDown;
+        this.maxRetries = config.maxRetries == null ? DEFAULT_MAX_RETRIES : config.maxRetries;
+        this.retryBaseDelay = config.retryBaseDelay == null ? DEFAULT_RETRY_BASE_DELAY : config.retryBaseDelay;
+        this.retryMaxDelay = config.retryMaxDelay == null ? DEFAULT_RETRY_MAX_DELAY : config.retryMaxDelay;
         this.axiosClient = axios.create({
-            baseURL: this.serviceURL,
             timeout: config.ackTimeout == null ? DEFAULT_ACK_TIMEOUT : config.ackTimeout
         });
+        this.cache = new RepositoryCache({config, logger, getFinalizedHeight: () => this.getFinalizedHeight()});
+        this.requestDurationMetric = metrics.createHistogram({
+            name: 'lisk_dex_adapter_service_request_duration_seconds',
+            help: 'Duration of requests to Lisk Service nodes by path, including failed requests.',
+            labelNames: ['method', 'path'],
+        });
+    }
+
+    getCacheStats() {
+        return this.cache.getStats();
+    }
+
+    /**
+     * Returns the service node which responded last, or the one which will be tried first if none responded yet.
+     * @returns {{endpoint: string, lastSuccessfulResponseTime: number|null}}
+     */
+    getConnectionStatus() {
+        return {
+            endpoint: this.activeServiceURL || this.getOrderedServiceNodes()[0].url,
+            lastSuccessfulResponseTime: this.lastSuccessfulResponseTime,
+        };
+    }
+
+    // Height of a block which was returned by the repository before; null if it is not known without a request.
+    getKnownBlockHeight(blockId) {
+        return this.cache.getBlockHeight(blockId);
+    }
+
+    /**
+     * Returns service nodes in the order in which they should be tried.
+     * Healthy nodes keep their configured order; nodes which are still cooling down are only used as a last resort.
+     * @returns {Array<{url: string, unhealthyUntil: number}>}
+     */
+    getOrderedServiceNodes() {
+        const now = Date.now();
+        const healthyNodes = this.serviceNodes.filter((node) => node.unhealthyUntil <= now);
+        const unhealthyNodes = this.serviceNodes
+            .filter((node) => node.unhealthyUntil > now)
+            .sort((a, b) => a.unhealthyUntil - b.unhealthyUntil);
+        return [...healthyNodes, ...unhealthyNodes];
+    }
+
+    /**
+     * Exponential backoff with jitter; the delay is picked at random between half and the full backoff.
+     * @returns {number}
+     */
+    getRetryDelay(attempt, retryAfter = 0) {
+        const backoff = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** (attempt - 1));
+        const jitteredBackoff = backoff / 2 + Math.random() * backoff / 2;
+        return Math.max(jitteredBackoff, retryAfter);
+    }
+
+    /**
+     * Sends the request to each service node in turn until one of them responds and retries the whole
+     * sequence with backoff if all of them fail. Errors which are not caused by the node (e.g. 404) are thrown
+     * straight away. Non-idempotent requests are only re-sent if they were rejected before being processed.
+     * @param requestFn - Function which performs the request against the given service URL
+     * @param idempotent - Whether or not the request can safely be sent more than once
+     * @returns {Promise<*>}
+     */
+    async requestWithFailover(requestFn, idempotent = true) {
+        let lastError;
+        let retryAfter = 0;
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            if (attempt > 0) {
+                await wait(this.getRetryDelay(attempt, retryAfter));
+                retryAfter = 0;
+            }
+            for (let node of this.getOrderedServiceNodes()) {
+                try {
+                    const response = await requestFn(node.url);
+                    node.unhealthyUntil = 0;
+                    this.activeServiceURL = node.url;
+                    this.lastSuccessfulResponseTime = Date.now();
+                    return response.data;
+                } catch (err) {
+                    if (isRateLimited(err)) {
+                        const nodeRetryAfter = getRetryAfter(err);
+                        node.unhealthyUntil = Date.now() + (nodeRetryAfter || this.nodeCoolDown);
+                        retryAfter = Math.max(retryAfter, nodeRetryAfter);
+                    } else if (isNodeFailure(err)) {
+                        node.unhealthyUntil = Date.now() + this.nodeCoolDown;
+                        if (!idempotent && !isUnsentRequest(err)) {
+                            throw new ServiceRequestError(`Lisk Service node ${node.url} failed to process the request - ${err.message}`, err);
+                        }
+                    } else {
+                        throw new ServiceRequestError(`Lisk Service node ${node.url} rejected the request - ${err.message}`, err);
+                    }
+                    this.logger.warn(`Lisk Service node ${node.url} failed - ${err.message}`);
+                    lastError = err;
+                }
+            }
+        }
+        throw new ServiceRequestError(`All Lisk Service nodes failed after ${this.maxRetries + 1} attempts - ${lastError.message}`, lastError);
     }
 
     /**
@@ -23,23 +172,58 @@ class LiskServiceRepository {
      */
 
     async get(path, params = {}) {
-        const response = await this.axiosClient.get(`${this.serviceURL}${path}`, {params});
-        return response.data;
+        return this.requestWithFailover((serviceURL) => this.timeRequest('GET', path, () => this.axiosClient.get(`${serviceURL}${path}`, {params})));
     }
 
-    async post(path, payload = {}) {
-        const response = await this.axiosClient.post(`${this.serviceURL}${path}`, payload);
-        return response.data;
+    async post(path, payload = {}, idempotent = false) {
+        return this.requestWithFailover((serviceURL) => this.timeRequest('POST', path, () => this.axiosClient.post(`${serviceURL}${path}`, payload)), idempotent);
+    }
+
+    // Each attempt is timed separately so that slow or failing nodes show up in the request duration metric.
+    async timeRequest(method, path, requestFn) {
+        const startTime = process.hrtime.bigint();
+        try {
+            return await requestFn();
+        } finally {
+            this.requestDurationMetric.observe({method, path}, Number(process.hrtime.bigint() - startTime) / 1e9);
+        }
     }
 
     async postTransaction(transaction) {
         return this.post(metaStore.Transactions.path, { transaction });
     }
 
+    /**
+     * Executes the transaction against the current state without broadcasting it; a dry run has no side effects
+     * so it can safely be retried.
+     * @param transaction - Hex encoded transaction bytes
+     * @returns {Promise<{result: number, events: Array, errorMessage: string}>}
+     */
+    async dryRunTransaction(transaction) {
+        const {data: {result, events = [], errorMessage}} = await this.post(metaStore.TransactionsDryRun.path, { transaction }, true);
+        return {result, events, errorMessage};
+    }
+
     async getNetworkStatus() {
         return this.get('/api/v3/network/status');
     }
 
+    /**
+     * Reads the network status with a single request to the service node which would be tried first. Unlike
+     * getNetworkStatus, it neither retries nor fails over so that it returns quickly if the service is unavailable.
+     * @param timeout - Request timeout in milliseconds
+     */
+    async probeNetworkStatus(timeout) {
+        const [{url: serviceURL}] = this.getOrderedServiceNodes();
+        const path = '/api/v3/network/status';
+        const response = await this.timeRequest('GET', path, () => this.axiosClient.get(`${serviceURL}${path}`, {timeout}));
+        return response.data;
+    }
+
+    async getFinalizedHeight() {
+        return (await this.getNetworkStatus()).data.finalizedHeight;
+    }
+
     async getNetworkStats() {
         return this.get('/api/v3/network/statistics');
     }
@@ -52,6 +236,19 @@ class LiskServiceRepository {
         return (await this.get('/api/v3/auth', {address: walletAddress})).data;
     }
 
+    async getAccountNonce(walletAddress) {
+        const accountAuth = await this.getAuth(walletAddress);
+        return accountAuth ? accountAuth.nonce : null;
+    }
+
+    async getTokenBalance(walletAddress, tokenID) {
+        const balanceFilterParams = {
+            [metaStore.TokenBalances.filter.address]: walletAddress,
+            [metaStore.TokenBalances.filter.tokenID]: tokenID,
+        };
+        return firstOrNull((await this.get(metaStore.TokenBalances.path, balanceFilterParams)).data);
+    }
+
     async getTransactions(filterParams) {
         return (await this.get(metaStore.Transactions.path, filterParams)).data;
     }
@@ -60,11 +257,46 @@ class LiskServiceRepository {
         return (await this.get(metaStore.Blocks.path, filterParams)).data;
     }
 
-    async getOutboundTransactions(senderAddress, fromTimestamp, limit, order = 'asc') {
+    /**
+     * Fetches consecutive pages using the offset filter until limit items have been collected or
+     * until the last page has been reached.
+     * @param getPage - Function which fetches a single page for the given filter params (e.g. getBlocks)
+     * @param filterParams - filter param object (key-value pairs) without limit and offset
+     * @param limit - Maximum number of items to return; Infinity to fetch all pages
+     * @param filter - Optional predicate; only matching items count towards the limit
+     * @returns {Promise<Array>}
+     */
+    async getPaginated(getPage, filterParams, limit, filter = () => true) {
+        let items = [];
+        let offset = 0;
+        while (items.length < limit) {
+            const pageLimit = Math.min(MAX_PAGE_LIMIT, limit - items.length);
+            const page = await getPage({
+                ...filterParams,
+                [metaStore.Transactions.filter.limit]: pageLimit,
+                [metaStore.Transactions.filter.offset]: offset,
+            });
+            items.push(...page.filter(filter));
+            offset += page.length;
+            if (page.length < pageLimit) {
+                break;
+            }
+        }
+        return items.slice(0, limit);
+    }
+
+    async getEvents(filterParams) {
+        return (await this.get(metaStore.Events.path, filterParams)).data;
+    }
+
+    async getTokenTransferTransactions(filterParams, tokenID, limit = Infinity) {
+        const filter = tokenID == null ? isTokenTransfer : hasTokenID(tokenID);
+        return this.getPaginated((params) => this.getTransactions(params), filterParams, limit, filter);
+    }
+
+    async getOutboundTransactions(senderAddress, fromTimestamp, limit, order = 'asc', tokenID) {
         const transactionFilterParams = {
             [metaStore.Transactions.filter.senderAddress]: senderAddress,
-            [metaStore.Transactions.filter.limit]: limit,
-            [metaStore.Transactions.filter.moduleCommand]: 'token:transfer',
         };
         if (order === 'asc') {
             transactionFilterParams[metaStore.Transactions.filter.sort] = metaStore.Transactions.sortBy.timestampAsc;
@@ -73,25 +305,97 @@ class LiskServiceRepository {
             transactionFilterParams[metaStore.Transactions.filter.sort] = metaStore.Transactions.sortBy.timestampDesc;
             transactionFilterParams[metaStore.Transactions.filter.timestamp] = `0:${fromTimestamp}`;
         }
-        return await this.getTransactions(transactionFilterParams);
+        // A single page is returned if no limit is specified so that the history of a busy wallet is not fetched at once.
+        return await this.getTokenTransferTransactions(transactionFilterParams, tokenID, limit == null ? MAX_PAGE_LIMIT : limit);
     }
 
-    async getInboundTransactionsFromBlock(recipientAddress, blockId) {
+    async getInboundTransactionsFromBlock(recipientAddress, blockId, tokenID) {
+        const cacheKey = `inboundTransactionsFromBlock:${recipientAddress}:${blockId}:${tokenID}`;
+        return this.cache.getByBlockId(cacheKey, blockId, () => this.fetchInboundTransactionsFromBlock(recipientAddress, blockId, tokenID), getTransactionsHeight);
+    }
+
+    async fetchInboundTransactionsFromBlock(recipientAddress, blockId, tokenID) {
         const transactionFilterParams = {
             [metaStore.Transactions.filter.recipientAddress]: recipientAddress,
             [metaStore.Transactions.filter.blockId]: blockId,
-            [metaStore.Transactions.filter.moduleCommand]: 'token:transfer', // token transfer
+            [metaStore.Transactions.filter.moduleCommand]: TOKEN_TRANSFER_MODULE_COMMAND,
         };
-        return await this.getTransactions(transactionFilterParams);
+        return await this.getTokenTransferTransactions(transactionFilterParams, tokenID);
     }
 
-    async getOutboundTransactionsFromBlock(senderAddress, blockId) {
+    /**
+     * Tokens which are transferred from other chains are not credited by a transaction on this chain but by
+     * a cross-chain message; those are found through the ccmProcessed events of the block.
+     */
+    async getInboundCrossChainTransfersFromBlock(recipientAddress, blockId, tokenID) {
+        const cacheKey = `inboundCrossChainTransfersFromBlock:${recipientAddress}:${blockId}:${tokenID}`;
+        return this.cache.getByBlockId(cacheKey, blockId, () => this.fetchInboundCrossChainTransfersFromBlock(recipientAddress, blockId, tokenID), getTransactionsHeight);
+    }
+
+    async fetchInboundCrossChainTransfersFromBlock(recipientAddress, blockId, tokenID) {
+        const eventFilterParams = {
+            [metaStore.Events.filter.blockId]: blockId,
+        };
+        const events = await this.getPaginated((params) => this.getEvents(params), eventFilterParams, Infinity);
+        return events.length ? getCrossChainTransferCredits(events, events[0].block, {recipientAddress, tokenID}, this.chainSymbol) : [];
+    }
+
+    async getOutboundTransactionsFromBlock(senderAddress, blockId, tokenID) {
+        const cacheKey = `outboundTransactionsFromBlock:${senderAddress}:${blockId}:${tokenID}`;
+        return this.cache.getByBlockId(cacheKey, blockId, () => this.fetchOutboundTransactionsFromBlock(senderAddress, blockId, tokenID), getTransactionsHeight);
+    }
+
+    async fetchOutboundTransactionsFromBlock(senderAddress, blockId, tokenID) {
         const transactionFilterParams = {
             [metaStore.Transactions.filter.senderAddress]: senderAddress,
             [metaStore.Transactions.filter.blockId]: blockId,
-            [metaStore.Transactions.filter.moduleCommand]: 'token:transfer', // token transfer
         };
-        return await this.getTransactions(transactionFilterParams);
+        return await this.getTokenTransferTransactions(transactionFilterParams, tokenID);
+    }
+
+    /**
+     * Fetches all the token transfers to the recipient in the given height range (inclusive) in a single
+     * paginated query instead of one query per block.
+     */
+    async getInboundTransactionsBetweenHeights(recipientAddress, fromHeight, toHeight, tokenID) {
+        const transactionFilterParams = {
+            [metaStore.Transactions.filter.recipientAddress]: recipientAddress,
+            [metaStore.Transactions.filter.height]: `${fromHeight}:${toHeight}`,
+            [metaStore.Transactions.filter.moduleCommand]: TOKEN_TRANSFER_MODULE_COMMAND,
+            [metaStore.Transactions.filter.sort]: metaStore.Transactions.sortBy.timestampAsc,
+        };
+        return await this.getTokenTransferTransactions(transactionFilterParams, tokenID);
+    }
+
+    /**
+     * Fetches the cross-chain credits to the recipient in the given height range (inclusive) from the events
+     * of the whole range in a single paginated query instead of one query per block.
+     */
+    async getInboundCrossChainTransfersBetweenHeights(recipientAddress, fromHeight, toHeight, tokenID) {
+        const eventFilterParams = {
+            [metaStore.Events.filter.height]: `${fromHeight}:${toHeight}`,
+        };
+        const events = await this.getPaginated((params) => this.getEvents(params), eventFilterParams, Infinity);
+        return events.flatMap((event) => getCrossChainTransferCredits([event], event.block, {recipientAddress, tokenID}, this.chainSymbol));
+    }
+
+    async getOutboundTransactionsBetweenHeights(senderAddress, fromHeight, toHeight, tokenID) {
+        const transactionFilterParams = {
+            [metaStore.Transactions.filter.senderAddress]: senderAddress,
+            [metaStore.Transactions.filter.height]: `${fromHeight}:${toHeight}`,
+            [metaStore.Transactions.filter.sort]: metaStore.Transactions.sortBy.timestampAsc,
+        };
+        return await this.getTokenTransferTransactions(transactionFilterParams, tokenID);
+    }
+
+    async getTransactionBySenderAndNonce(senderAddress, nonce) {
+        const {pending, successful, failed} = metaStore.Transactions.executionStatus;
+        const transactionFilterParams = {
+            [metaStore.Transactions.filter.senderAddress]: senderAddress,
+            [metaStore.Transactions.filter.nonce]: nonce,
+            [metaStore.Transactions.filter.executionStatus]: [pending, successful, failed].join(','),
+        };
+        return firstOrNull(await this.getTransactions(transactionFilterParams));
     }
 
     async getLastBlock() {
@@ -99,8 +403,9 @@ class LiskServiceRepository {
             [metaStore.Blocks.filter.sort]: metaStore.Blocks.sortBy.heightDesc,
             [metaStore.Blocks.filter.limit]: 1,
         };
-        const blocks = await this.getBlocks(blockFilterParams);
-        return firstOrNull(blocks);
+        const block = firstOrNull(await this.getBlocks(blockFilterParams));
+        this.cache.rememberBlockHeights([block]);
+        return block;
     }
 
     async getBlocksBetweenHeights(fromHeight, toHeight, limit) {
@@ -109,21 +414,35 @@ class LiskServiceRepository {
         const blockFilterParams = {
             [metaStore.Blocks.filter.height]: `${fromHeightString}:${toHeightString}`,
             [metaStore.Blocks.filter.sort]: metaStore.Blocks.sortBy.heightAsc,
-            [metaStore.Blocks.filter.limit]: limit,
         };
-        let blocks = await this.getBlocks(blockFilterParams);
+        let blocks = await this.getPaginated((params) => this.getBlocks(params), blockFilterParams, limit == null ? MAX_PAGE_LIMIT : limit);
         if (blocks.length && blocks[0].height === fromHeight) {
           blocks.shift();
         }
+        this.cache.rememberBlockHeights(blocks);
         return blocks;
     }
 
     async getBlockAtHeight(height) {
-        const blockFilterParams = {
-            [metaStore.Blocks.filter.height]: height,
-        };
-        const blocks = await this.getBlocks(blockFilterParams);
-        return firstOrNull(blocks);
+        const block = await this.cache.get(`blockAtHeight:${height}`, height, async () => {
+            const blockFilterParams = {
+                [metaStore.Blocks.filter.height]: height,
+            };
+            return firstOrNull(await this.getBlocks(blockFilterParams));
+        });
+        this.cache.rememberBlockHeights([block]);
+        return block;
+    }
+
+    async getBlockById(blockId) {
+        const block = await this.cache.get(`blockById:${blockId}`, null, async () => {
+            const blockFilterParams = {
+                [metaStore.Blocks.filter.blockId]: blockId,
+            };
+            return firstOrNull(await this.getBlocks(blockFilterParams));
+        }, (block) => block && block.height);
+        this.cache.rememberBlockHeights([block]);
+        return block;
     }
 }
 
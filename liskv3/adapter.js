@@ -1,5 +1,7 @@
 'use strict';
 
+const path = require('path');
+
 const {
   getBase32AddressFromPublicKey,
 } = require('@liskhq/lisk-cryptography');
@@ -9,62 +11,136 @@ const {
   transactions: liskTransactions
 } = require('@liskhq/lisk-client');
 
-const shuffle = require('lodash.shuffle');
-
-const {toBuffer} = require('../common/utils');
-const {InvalidActionError, multisigAccountDidNotExistError, blockDidNotExistError, accountWasNotMultisigError, accountDidNotExistError, transactionBroadcastError} = require('./errors');
+const {toBuffer, computeDEXTransactionId} = require('../common/utils');
+const {InvalidActionError, multisigAccountDidNotExistError, blockDidNotExistError, accountWasNotMultisigError, accountDidNotExistError, transactionDidNotExistError, transactionBroadcastError, insufficientSignaturesError, insufficientFeeError, feeEstimationError, transactionDryRunError, transactionSigningError} = require('./errors');
 const LiskServiceRepository = require('../lisk-service/repository');
+const {ServiceRequestError} = require('../lisk-service/errors');
+const LiskCoreRepository = require('../lisk-core/repository');
 const {blockMapper, transactionMapper} = require('./mapper');
+const {getTransactionParamsSchema} = require('./schemas');
+const {getMainchainTokenID} = require('./interoperability');
+const {TransactionIndex, INBOUND, OUTBOUND} = require('./transaction-index');
+const ReorgTracker = require('./reorg-tracker');
+const ErrorCounter = require('./error-counter');
+const {MetricsRegistry, MetricsServer} = require('../common/metrics');
+const {validateAdapterConfig} = require('./config');
+const {createMultisigSnapshot, isSameMultisigSnapshot, computeSigningDigest, createSignaturePacket, verifySignaturePackets, selectSignaturePackets, createSignatureSlots} = require('./multisig');
 const packageJSON = require('../package.json');
 
 const DEFAULT_MODULE_ALIAS = 'lisk_v4_dex_adapter';
 
 const MODULE_BOOTSTRAP_EVENT = 'bootstrap';
+const MODULE_CHAIN_CHANGES_EVENT = 'chainChanges';
+const MODULE_MULTISIG_MEMBERS_CHANGED_EVENT = 'multisigMembersChanged';
+const MODULE_CHAIN_ROLLBACK_EVENT = 'chainRollback';
+
+const DEFAULT_BLOCK_POLL_INTERVAL = 5000;
+const DEFAULT_BLOCK_FETCH_LIMIT = 100;
+const DEFAULT_MAX_ROLLBACK_DEPTH = 100;
+// Errors of actions are reported by getHealth if they happened within this duration.
+const DEFAULT_ACTION_ERROR_WINDOW = 600000;
+// Health checks and metric scrapes give up on the network status if it cannot be read within this duration.
+const DEFAULT_NETWORK_STATUS_PROBE_TIMEOUT = 2000;
+const HEALTH_STATUS_HEALTHY = 'healthy';
+const HEALTH_STATUS_UNHEALTHY = 'unhealthy';
+// Further changes are picked up by the next poll if the chain keeps changing while it is being read.
+const MAX_CHAIN_CHANGE_ATTEMPTS = 3;
+
+const FEE_PRIORITIES = ['low', 'medium', 'high'];
+const DEFAULT_FEE_PRIORITY = 'medium';
+// Largest uint64 value; used in place of unknown amounts and nonces so that fee estimates are never too low.
+const MAX_UINT64 = '18446744073709551615';
+// Ed25519 private keys include the public key.
+const PRIVATE_KEY_LENGTH = 64;
+
+const BACKEND_LISK_SERVICE = 'liskService';
+const BACKEND_LISK_CORE = 'liskCore';
 
-const notFound = (err) => err && err.response && err.response.status === 404;
-
-const tokenTransferSchema = {
-  $id: '/lisk/transferParams',
-  title: 'Transfer transaction params',
-  type: 'object',
-  required: ['tokenID', 'amount', 'recipientAddress', 'data'],
-  properties: {
-    tokenID: {
-      dataType: 'bytes',
-      fieldNumber: 1,
-      minLength: 8,
-      maxLength: 8,
-    },
-    amount: {
-      dataType: 'uint64',
-      fieldNumber: 2,
-    },
-    recipientAddress: {
-      dataType: 'bytes',
-      fieldNumber: 3,
-      format: 'lisk32',
-    },
-    data: {
-      dataType: 'string',
-      fieldNumber: 4,
-      minLength: 0,
-      maxLength: 64,
-    },
-  },
+const repositories = {
+    [BACKEND_LISK_SERVICE]: LiskServiceRepository,
+    [BACKEND_LISK_CORE]: LiskCoreRepository,
 };
 
+const TRANSACTION_STATUS_PENDING = 'pending';
+const TRANSACTION_STATUS_INCLUDED = 'included';
+const TRANSACTION_STATUS_EXPIRED = 'expired';
+// Included in a block but its execution failed (e.g. insufficient balance); the transfer did not happen.
+const TRANSACTION_STATUS_FAILED = 'failed';
+const EXECUTION_STATUS_FAILED = 'failed';
+
+// Dry run results: the transaction was executed successfully (1), its execution failed (0) or it was rejected (-1).
+const DRY_RUN_RESULT_SUCCESS = 1;
+const DRY_RUN_STATUS_INVALID = 'invalid';
+const dryRunStatuses = {
+    1: 'valid',
+    0: 'failed',
+    [-1]: DRY_RUN_STATUS_INVALID,
+};
+
+// Only a response from the service can indicate that data does not exist; transport failures never do.
+const notFound = (err) => err instanceof ServiceRequestError && !err.isTransportError && err.isNotFound;
+
 class LiskV3DEXAdapter {
     constructor({alias, config = {}, logger = console} = {config: {}, logger: console}) {
         this.alias = alias || DEFAULT_MODULE_ALIAS;
         this.logger = logger;
-        this.dexWalletAddress = config.dexWalletAddress;
+        validateAdapterConfig(config, {backends: Object.keys(repositories), logger});
+        // The first DEX wallet is the default one, e.g. for estimating fees; more can be listed in dexWalletAddresses.
+        this.dexWalletAddresses = [...new Set([config.dexWalletAddress, ...(config.dexWalletAddresses || [])].filter((walletAddress) => walletAddress))];
+        this.dexWalletAddress = this.dexWalletAddresses[0];
         this.chainSymbol = config.chainSymbol || 'lsk';
-        this.liskServiceRepo = new LiskServiceRepository({config, logger});
+        // IDs may be configured in either case but they are compared with the lowercase hex IDs of the network.
+        this.chainID = config.chainID ? config.chainID.toLowerCase() : config.chainID;
+        // The accepted token defaults to the native token of the mainchain of the network (e.g. LSK on testnet);
+        // if the chain ID is not configured, it is set once the chain ID was read from the network in load().
+        this.tokenID = config.tokenID ? config.tokenID.toLowerCase() : (this.chainID ? getMainchainTokenID(this.chainID) : null);
+        // When enabled, blocks above the finalized height are treated as if they did not exist yet.
+        this.finalizedBlocksOnly = !!config.finalizedBlocksOnly;
+        this.blockPollInterval = config.blockPollInterval || DEFAULT_BLOCK_POLL_INTERVAL;
+        this.blockFetchLimit = config.blockFetchLimit || DEFAULT_BLOCK_FETCH_LIMIT;
+        this.maxRollbackDepth = config.maxRollbackDepth || DEFAULT_MAX_ROLLBACK_DEPTH;
+        // If no interval is specified, multisig membership is refreshed whenever new blocks are added.
+        this.multisigRefreshInterval = config.multisigRefreshInterval || 0;
+        this.metrics = new MetricsRegistry({logger});
+        this.networkStatusProbeTimeout = config.networkStatusProbeTimeout || DEFAULT_NETWORK_STATUS_PROBE_TIMEOUT;
+        this.createMetrics();
+        // Metrics are only served if a port is specified.
+        this.metricsServer = config.metricsPort == null ? null : new MetricsServer({
+            registry: this.metrics,
+            config: {host: config.metricsHost, port: config.metricsPort},
+            logger,
+        });
+        const Repository = repositories[config.backend || BACKEND_LISK_SERVICE];
+        this.repository = new Repository({config, logger, metrics: this.metrics});
+
+        // DEX wallets by address; the multisig snapshot of each wallet is set when the adapter is loaded.
+        this.dexWallets = {};
+        for (let walletAddress of this.dexWalletAddresses) {
+            this.dexWallets[walletAddress] = {
+                walletAddress,
+                multisig: null,
+                // When a path is specified, transfers of the DEX wallet are synced in bulk into a local index.
+                transactionIndex: config.transactionIndexPath ? new TransactionIndex({
+                    repository: this.repository,
+                    filePath: this.getTransactionIndexPath(config.transactionIndexPath, walletAddress),
+                    walletAddress,
+                    tokenID: this.tokenID,
+                    fromHeight: config.transactionIndexFromHeight,
+                    batchSize: config.transactionIndexBatchSize,
+                    maxRollbackDepth: this.maxRollbackDepth,
+                    logger,
+                }) : null,
+            };
+        }
+        this.transactionIndexSyncPromise = null;
 
+        // Signatures are mapped to the members of the DEX wallet which sent the transaction or, if it was not sent
+        // by a DEX wallet, to the members of the default DEX wallet.
         this.transactionMapper = (transaction) => {
+            const {multisig} = this.dexWallets[transaction.sender.address] || this.dexWallets[this.dexWalletAddress];
             let sanitizedTransaction = {
               ...transaction,
-              signatures: this.dexMultisigPublicKeys
+              signatures: multisig.publicKeys
                 .map((publicKey, index) => {
                   const signerAddress = getBase32AddressFromPublicKey(toBuffer(publicKey), this.chainSymbol);
                   return {signerAddress, publicKey, signature: transaction.signatures[index]};
@@ -74,7 +150,23 @@ class LiskV3DEXAdapter {
             return transactionMapper(sanitizedTransaction);
         };
 
+        // Guards against crediting transfers of any other token as if they were the accepted token.
+        this.isAcceptedTokenTransaction = (transaction) => transaction.params && transaction.params.tokenID === this.tokenID;
+
         this.MODULE_BOOTSTRAP_EVENT = MODULE_BOOTSTRAP_EVENT;
+        this.MODULE_CHAIN_CHANGES_EVENT = MODULE_CHAIN_CHANGES_EVENT;
+        this.MODULE_MULTISIG_MEMBERS_CHANGED_EVENT = MODULE_MULTISIG_MEMBERS_CHANGED_EVENT;
+        this.MODULE_CHAIN_ROLLBACK_EVENT = MODULE_CHAIN_ROLLBACK_EVENT;
+
+        // Most recent blocks seen by the block watcher.
+        this.reorgTracker = new ReorgTracker({maxDepth: this.maxRollbackDepth});
+        this.blockWatcherTimeout = null;
+        this.isBlockWatcherActive = false;
+
+        this.multisigRefreshTimeout = null;
+        this.multisigRefreshPromise = null;
+
+        this.actionErrorCounter = new ErrorCounter({windowDuration: config.actionErrorWindow || DEFAULT_ACTION_ERROR_WINDOW});
     }
 
     get dependencies() {
@@ -90,21 +182,151 @@ class LiskV3DEXAdapter {
     }
 
     get events() {
-        return [MODULE_BOOTSTRAP_EVENT];
+        return [MODULE_BOOTSTRAP_EVENT, MODULE_CHAIN_CHANGES_EVENT, MODULE_MULTISIG_MEMBERS_CHANGED_EVENT, MODULE_CHAIN_ROLLBACK_EVENT];
     }
 
     get actions() {
-        return {
-            getStatus: {handler: () => ({version: packageJSON.version})},
+        const actions = {
+            getStatus: {handler: () => this.getStatus()},
+            getHealth: {handler: () => this.getHealth()},
             getMultisigWalletMembers: {handler: (action) => this.getMultisigWalletMembers(action)},
             getMinMultisigRequiredSignatures: {handler: (action) => this.getMinMultisigRequiredSignatures(action)},
+            getAccountBalance: {handler: (action) => this.getAccountBalance(action)},
+            getAccountNonce: {handler: (action) => this.getAccountNonce(action)},
             getOutboundTransactions: {handler: (action) => this.getOutboundTransactions(action)},
             getInboundTransactionsFromBlock: {handler: (action) => this.getInboundTransactionsFromBlock(action)},
             getOutboundTransactionsFromBlock: {handler: (action) => this.getOutboundTransactionsFromBlock(action)},
             getMaxBlockHeight: {handler: (action) => this.getMaxBlockHeight(action)},
+            getFinalizedBlockHeight: {handler: (action) => this.getFinalizedBlockHeight(action)},
             getBlocksBetweenHeights: {handler: (action) => this.getBlocksBetweenHeights(action)},
             getBlockAtHeight: {handler: (action) => this.getBlockAtHeight(action)},
+            getBlockById: {handler: (action) => this.getBlockById(action)},
             postTransaction: {handler: (action) => this.postTransaction(action)},
+            dryRunTransaction: {handler: (action) => this.dryRunTransaction(action)},
+            prepareTransaction: {handler: (action) => this.prepareTransaction(action)},
+            signTransaction: {handler: (action) => this.signTransaction(action)},
+            estimateTransferFee: {handler: (action) => this.estimateTransferFee(action)},
+            getTransactionStatus: {handler: (action) => this.getTransactionStatus(action)},
+            getCacheStats: {handler: () => this.repository.getCacheStats()},
+        };
+        let trackedActions = {};
+        for (let [actionName, {handler}] of Object.entries(actions)) {
+            trackedActions[actionName] = {handler: (action) => this.invokeAction(actionName, handler, action)};
+        }
+        return trackedActions;
+    }
+
+    /**
+     * Invokes an action handler and counts the error if it fails.
+     */
+    async invokeAction(actionName, handler, action) {
+        try {
+            return await handler(action);
+        } catch (err) {
+            this.actionErrorCounter.record(actionName);
+            this.actionErrorsMetric.inc({action: actionName, error: err.name});
+            throw err;
+        }
+    }
+
+    createMetrics() {
+        this.actionErrorsMetric = this.metrics.createCounter({
+            name: 'lisk_dex_adapter_action_errors_total',
+            help: 'Number of failed actions by action and error name.',
+            labelNames: ['action', 'error'],
+        });
+        this.transactionBroadcastsMetric = this.metrics.createCounter({
+            name: 'lisk_dex_adapter_transaction_broadcasts_total',
+            help: 'Number of transactions which were broadcast by result (success or failure).',
+            labelNames: ['result'],
+        });
+        this.chainHeightMetric = this.metrics.createGauge({
+            name: 'lisk_dex_adapter_chain_height',
+            help: 'Height of the chain tip according to the network status.',
+        });
+        this.blockWatcherLagMetric = this.metrics.createGauge({
+            name: 'lisk_dex_adapter_block_watcher_lag_blocks',
+            help: 'Number of blocks by which the block watcher is behind the chain.',
+        });
+        this.metrics.addCollector(() => this.collectChainMetrics());
+    }
+
+    /**
+     * Chain metrics are read when they are scraped; they are left out if the network status cannot be read so
+     * that stale values do not hide an outage. The network status is read with a single short request so that
+     * a scrape does not time out while the repository retries and fails over.
+     */
+    async collectChainMetrics() {
+        this.chainHeightMetric.reset();
+        this.blockWatcherLagMetric.reset();
+        const {data: {height, finalizedHeight}} = await this.repository.probeNetworkStatus(this.networkStatusProbeTimeout);
+        this.chainHeightMetric.set({}, height);
+        const lag = this.getBlockWatcherLag(height, finalizedHeight);
+        if (lag != null) {
+            this.blockWatcherLagMetric.set({}, lag);
+        }
+    }
+
+    // Number of blocks by which the block watcher is behind the chain tip (or the finalized height if it only follows finalized blocks).
+    getBlockWatcherLag(networkHeight, finalizedHeight) {
+        const lastTrackedBlock = this.reorgTracker.getLastBlock();
+        const targetHeight = this.finalizedBlocksOnly ? finalizedHeight : networkHeight;
+        if (targetHeight == null || !lastTrackedBlock) {
+            return null;
+        }
+        return Math.max(targetHeight - lastTrackedBlock.height, 0);
+    }
+
+    /**
+     * Reports the multisig membership and transaction index progress of each DEX wallet.
+     */
+    getStatus() {
+        return {
+            version: packageJSON.version,
+            dexWallets: Object.values(this.dexWallets).map(({walletAddress, multisig, transactionIndex}) => ({
+                walletAddress,
+                memberAddresses: multisig ? this.getMemberAddresses(multisig) : [],
+                numberOfSignatures: multisig ? multisig.numberOfSignatures : null,
+                transactionIndexHeight: transactionIndex ? transactionIndex.syncedHeight : null,
+            })),
+        };
+    }
+
+    /**
+     * Reports whether the adapter can reach the chain and keeps up with it. Like the chain metrics, the network status
+     * is read with a single short request; if it fails, the adapter is reported as unhealthy instead of throwing.
+     */
+    async getHealth() {
+        const {endpoint, lastSuccessfulResponseTime} = this.repository.getConnectionStatus();
+        const lastTrackedBlock = this.reorgTracker.getLastBlock();
+        const latestKnownHeight = lastTrackedBlock ? lastTrackedBlock.height : null;
+        let networkHeight = null;
+        let finalizedHeight = null;
+        let errorMessage = null;
+        try {
+            const networkStatus = await this.repository.probeNetworkStatus(this.networkStatusProbeTimeout);
+            networkHeight = networkStatus.data.height;
+            finalizedHeight = networkStatus.data.finalizedHeight;
+        } catch (err) {
+            errorMessage = `Failed to get network status - ${err.message}`;
+        }
+        return {
+            status: errorMessage ? HEALTH_STATUS_UNHEALTHY : HEALTH_STATUS_HEALTHY,
+            version: packageJSON.version,
+            endpoint,
+            lastSuccessfulResponseTime,
+            latestKnownHeight,
+            finalizedHeight,
+            networkHeight,
+            lag: this.getBlockWatcherLag(networkHeight, finalizedHeight),
+            dexWallets: Object.values(this.dexWallets).map(({walletAddress, multisig}) => ({
+                walletAddress,
+                memberCount: multisig ? multisig.publicKeys.length : null,
+                numberOfSignatures: multisig ? multisig.numberOfSignatures : null,
+            })),
+            recentActionErrors: this.actionErrorCounter.getCounts(),
+            cacheStats: this.repository.getCacheStats(),
+            errorMessage,
         };
     }
 
@@ -114,7 +336,7 @@ class LiskV3DEXAdapter {
 
     async getMultisigWalletMembers({params: {walletAddress}}) {
         try {
-            const accountAuth = await this.liskServiceRepo.getAuth(walletAddress);
+            const accountAuth = await this.repository.getAuth(walletAddress);
             if (accountAuth) {
                 if (!this.isMultisigAccount(accountAuth)) {
                     throw new InvalidActionError(accountWasNotMultisigError, `Account with address ${walletAddress} is not a multisig account`);
@@ -132,7 +354,7 @@ class LiskV3DEXAdapter {
 
     async getMinMultisigRequiredSignatures({params: {walletAddress}}) {
         try {
-            const accountAuth = await this.liskServiceRepo.getAuth(walletAddress);
+            const accountAuth = await this.repository.getAuth(walletAddress);
             if (accountAuth) {
                 if (!this.isMultisigAccount(accountAuth)) {
                     throw new InvalidActionError(accountWasNotMultisigError, `Account with address ${walletAddress} is not a multisig account`);
@@ -148,10 +370,45 @@ class LiskV3DEXAdapter {
         }
     }
 
+    async getAccountBalance({params: {walletAddress, tokenID}}) {
+        const balanceTokenID = tokenID || this.tokenID;
+        try {
+            const balance = await this.repository.getTokenBalance(walletAddress, balanceTokenID);
+            if (balance) {
+                return {
+                    tokenID: balance.tokenID,
+                    availableBalance: balance.availableBalance,
+                    lockedBalances: balance.lockedBalances || [],
+                };
+            }
+            throw new InvalidActionError(accountDidNotExistError, `Account with address ${walletAddress} does not hold token ${balanceTokenID}`);
+        } catch (err) {
+            if (err instanceof InvalidActionError) {
+                throw err;
+            }
+            throw new InvalidActionError(accountDidNotExistError, `Error getting balance of account with address ${walletAddress}`, err);
+        }
+    }
+
+    async getAccountNonce({params: {walletAddress}}) {
+        try {
+            const nonce = await this.repository.getAccountNonce(walletAddress);
+            if (nonce != null) {
+                return String(nonce);
+            }
+            throw new InvalidActionError(accountDidNotExistError, `Error getting nonce of account with address ${walletAddress}`);
+        } catch (err) {
+            if (err instanceof InvalidActionError) {
+                throw err;
+            }
+            throw new InvalidActionError(accountDidNotExistError, `Error getting nonce of account with address ${walletAddress}`, err);
+        }
+    }
+
     async getOutboundTransactions({params: {walletAddress, fromTimestamp, limit, order}}) {
         try {
-            const transactions = await this.liskServiceRepo.getOutboundTransactions(walletAddress, fromTimestamp, limit, order);
-            return transactions.map(this.transactionMapper);
+            const transactions = await this.repository.getOutboundTransactions(walletAddress, fromTimestamp, limit, order, this.tokenID);
+            return transactions.filter(this.isAcceptedTokenTransaction).map(this.transactionMapper);
         } catch (err) {
             if (notFound(err)) {
                 return [];
@@ -160,10 +417,18 @@ class LiskV3DEXAdapter {
         }
     }
 
+    /**
+     * Inbound transactions include tokens which were transferred from other chains; those have a sendingChainID.
+     * The local transaction index holds both kinds so indexed blocks are served without a request.
+     */
     async getInboundTransactionsFromBlock({params: {walletAddress, blockId}}) {
         try {
-            const transactions = await this.liskServiceRepo.getInboundTransactionsFromBlock(walletAddress, blockId);
-            return transactions.map(this.transactionMapper);
+            const transactions = this.getIndexedTransactionsFromBlock(walletAddress, blockId, INBOUND) ||
+                [].concat(...await Promise.all([
+                    this.repository.getInboundTransactionsFromBlock(walletAddress, blockId, this.tokenID),
+                    this.repository.getInboundCrossChainTransfersFromBlock(walletAddress, blockId, this.tokenID),
+                ]));
+            return transactions.filter(this.isAcceptedTokenTransaction).map(this.transactionMapper);
         } catch (err) {
             if (notFound(err)) {
                 return [];
@@ -174,8 +439,9 @@ class LiskV3DEXAdapter {
 
     async getOutboundTransactionsFromBlock({params: {walletAddress, blockId}}) {
         try {
-            const transactions = await this.liskServiceRepo.getOutboundTransactionsFromBlock(walletAddress, blockId);
-            return transactions.map(this.transactionMapper);
+            const transactions = this.getIndexedTransactionsFromBlock(walletAddress, blockId, OUTBOUND) ||
+                await this.repository.getOutboundTransactionsFromBlock(walletAddress, blockId, this.tokenID);
+            return transactions.filter(this.isAcceptedTokenTransaction).map(this.transactionMapper);
         } catch (err) {
             if (notFound(err)) {
                 return [];
@@ -184,9 +450,97 @@ class LiskV3DEXAdapter {
         }
     }
 
+    /**
+     * The index of each DEX wallet is stored in its own file; the configured path is used as is if there is a single wallet.
+     */
+    getTransactionIndexPath(filePath, walletAddress) {
+        if (this.dexWalletAddresses.length === 1) {
+            return filePath;
+        }
+        const {dir, name, ext} = path.parse(filePath);
+        return path.join(dir, `${name}-${walletAddress}${ext}`);
+    }
+
+    /**
+     * Returns the DEX wallet which sends a transaction with the given sender public key; the key must be
+     * the public key of the DEX wallet account itself.
+     */
+    getSenderDEXWallet(senderPublicKey) {
+        let senderAddress;
+        try {
+            senderAddress = liskCryptography.address.getLisk32AddressFromPublicKey(toBuffer(senderPublicKey), this.chainSymbol);
+        } catch (err) {
+            senderAddress = null;
+        }
+        const dexWallet = senderAddress ? this.dexWallets[senderAddress] : null;
+        if (!dexWallet) {
+            throw new InvalidActionError(multisigAccountDidNotExistError, `Sender public key ${senderPublicKey} did not belong to a DEX wallet`);
+        }
+        return dexWallet;
+    }
+
+    getTransactionIndexes() {
+        return Object.values(this.dexWallets)
+            .map(({transactionIndex}) => transactionIndex)
+            .filter((transactionIndex) => transactionIndex);
+    }
+
+    /**
+     * Returns the transfers of a DEX wallet from its local index or null if they must be fetched from the repository.
+     * Only blocks whose height is already known can be looked up since the index is keyed by height.
+     */
+    getIndexedTransactionsFromBlock(walletAddress, blockId, direction) {
+        const dexWallet = this.dexWallets[walletAddress];
+        if (!dexWallet || !dexWallet.transactionIndex) {
+            return null;
+        }
+        const height = this.repository.getKnownBlockHeight(blockId);
+        if (height == null) {
+            return null;
+        }
+        return dexWallet.transactionIndex.getTransactionsFromBlock(blockId, height, direction);
+    }
+
+    /**
+     * Syncs the local transaction indexes in the background; failures are retried on the next chain change.
+     */
+    syncTransactionIndex() {
+        const transactionIndexes = this.getTransactionIndexes();
+        if (!transactionIndexes.length || this.transactionIndexSyncPromise) {
+            return this.transactionIndexSyncPromise;
+        }
+        this.transactionIndexSyncPromise = (async () => {
+            try {
+                for (let transactionIndex of transactionIndexes) {
+                    if (transactionIndex.fromHeight == null) {
+                        const networkStatus = await this.repository.getNetworkStatus();
+                        transactionIndex.fromHeight = networkStatus.data.genesisHeight || 0;
+                    }
+                    await transactionIndex.sync();
+                }
+            } catch (err) {
+                this.logger.warn(`Failed to sync transaction index - ${err.message}`);
+            } finally {
+                this.transactionIndexSyncPromise = null;
+            }
+        })();
+        return this.transactionIndexSyncPromise;
+    }
+
+    /**
+     * Returns the chain tip or, if finalizedBlocksOnly is enabled, the last finalized block.
+     */
+    async getLatestBlock() {
+        if (!this.finalizedBlocksOnly) {
+            return this.repository.getLastBlock();
+        }
+        const finalizedHeight = await this.repository.getFinalizedHeight();
+        return this.repository.getBlockAtHeight(finalizedHeight);
+    }
+
     async getMaxBlockHeight() {
         try {
-            const block = await this.liskServiceRepo.getLastBlock();
+            const block = await this.getLatestBlock();
             if (block) {
                 return block.height;
             }
@@ -199,9 +553,31 @@ class LiskV3DEXAdapter {
         }
     }
 
+    async getFinalizedBlockHeight() {
+        try {
+            const finalizedHeight = await this.repository.getFinalizedHeight();
+            if (Number.isInteger(finalizedHeight)) {
+                return finalizedHeight;
+            }
+            throw new InvalidActionError(blockDidNotExistError, 'Error getting finalized block height');
+        } catch (err) {
+            if (err instanceof InvalidActionError) {
+                throw err;
+            }
+            throw new InvalidActionError(blockDidNotExistError, 'Error getting finalized block height', err);
+        }
+    }
+
     async getBlocksBetweenHeights({params: {fromHeight, toHeight, limit}}) {
         try {
-            const blocks = await this.liskServiceRepo.getBlocksBetweenHeights(fromHeight, toHeight, limit);
+            if (this.finalizedBlocksOnly) {
+                const finalizedHeight = await this.repository.getFinalizedHeight();
+                toHeight = toHeight == null ? finalizedHeight : Math.min(toHeight, finalizedHeight);
+                if (fromHeight != null && fromHeight >= toHeight) {
+                    return [];
+                }
+            }
+            const blocks = await this.repository.getBlocksBetweenHeights(fromHeight, toHeight, limit);
             return blocks.map(blockMapper);
         } catch (err) {
             if (notFound(err)) {
@@ -213,7 +589,10 @@ class LiskV3DEXAdapter {
 
     async getBlockAtHeight({params: {height}}) {
         try {
-            const block = await this.liskServiceRepo.getBlockAtHeight(height);
+            if (this.finalizedBlocksOnly && height > await this.repository.getFinalizedHeight()) {
+                throw new InvalidActionError(blockDidNotExistError, `Block at height ${height} is not finalized`);
+            }
+            const block = await this.repository.getBlockAtHeight(height);
             if (block) {
                 return blockMapper(block);
             }
@@ -226,75 +605,567 @@ class LiskV3DEXAdapter {
         }
     }
 
-    async postTransaction({params: {transaction}}) {
-        let selectedSignatures;
-
-        if (transaction.signatures.length) {
-            selectedSignatures = [
-                transaction.signatures[0],
-                ...shuffle(transaction.signatures.slice(1)).slice(0, this.dexNumberOfSignatures - 1)
-            ];
-        } else {
-            selectedSignatures = [];
+    async getBlockById({params: {blockId}}) {
+        try {
+            const block = await this.repository.getBlockById(blockId);
+            if (!block) {
+                throw new InvalidActionError(blockDidNotExistError, `Error getting block with ID ${blockId}`);
+            }
+            if (this.finalizedBlocksOnly && block.height > await this.repository.getFinalizedHeight()) {
+                throw new InvalidActionError(blockDidNotExistError, `Block with ID ${blockId} is not finalized`);
+            }
+            return blockMapper(block);
+        } catch (err) {
+            if (err instanceof InvalidActionError) {
+                throw err;
+            }
+            throw new InvalidActionError(blockDidNotExistError, `Error getting block with ID ${blockId}`, err);
         }
+    }
 
-        let publicKeySignatures = {};
-        for (let signaturePacket of selectedSignatures) {
-            publicKeySignatures[signaturePacket.publicKey] = signaturePacket;
+    /**
+     * Builds an unsigned token transfer transaction from a DEX transaction object. If the transaction has a
+     * receivingChainID other than the chain ID of the adapter, a cross-chain transfer is built instead.
+     */
+    createTransferTransaction(transaction) {
+        const params = {
+            tokenID: Buffer.from(transaction.tokenID || this.tokenID, 'hex'),
+            recipientAddress: liskCryptography.address.getAddressFromLisk32Address(transaction.recipientAddress),
+            amount: BigInt(transaction.amount),
+            data: transaction.message
+        };
+        const isCrossChain = !!transaction.receivingChainID && transaction.receivingChainID !== this.chainID;
+        if (isCrossChain) {
+            params.receivingChainID = Buffer.from(transaction.receivingChainID, 'hex');
+            params.messageFee = BigInt(transaction.messageFee || 0);
+            params.messageFeeTokenID = Buffer.from(transaction.messageFeeTokenID || getMainchainTokenID(this.chainID), 'hex');
         }
-
-        const signatures = this.dexMultisigPublicKeys.map((memberPublicKey) => {
-            let signaturePacket = publicKeySignatures[memberPublicKey];
-            return Buffer.from(signaturePacket ? signaturePacket.signature : '', 'hex');
-        });
-
-        let signedTxn = {
+        return {
             module: 'token',
-            command: 'transfer',
+            command: isCrossChain ? 'transferCrossChain' : 'transfer',
             nonce: BigInt(transaction.nonce),
             fee: BigInt(transaction.fee),
             senderPublicKey: Buffer.from(transaction.senderPublicKey, 'hex'),
-            signatures,
-            params: {
-                tokenID: Buffer.from(transaction.tokenID, 'hex'),
-                recipientAddress: liskCryptography.address.getAddressFromLisk32Address(transaction.recipientAddress),
-                amount: BigInt(transaction.amount),
-                data: transaction.message
+            signatures: [],
+            params,
+        };
+    }
+
+    /**
+     * Computes the fee of a transaction signed by the DEX wallet, including empty signature slots.
+     */
+    computeTransferFee(unsignedTxn, multisigSnapshot, feePerByte) {
+        return liskTransactions.computeMinFee(unsignedTxn, getTransactionParamsSchema(unsignedTxn), {
+            minFeePerByte: feePerByte,
+            numberOfSignatures: multisigSnapshot.numberOfSignatures,
+            numberOfEmptySignatures: multisigSnapshot.publicKeys.length - multisigSnapshot.numberOfSignatures,
+        });
+    }
+
+    /**
+     * Estimates the fee of a transfer from the given DEX wallet or, if none is specified, from the default DEX wallet.
+     */
+    async estimateTransferFee({params: {walletAddress = this.dexWalletAddress, recipientAddress, amount, message = '', tokenID, nonce, receivingChainID, messageFee, messageFeeTokenID, priority = DEFAULT_FEE_PRIORITY} = {}}) {
+        if (!FEE_PRIORITIES.includes(priority)) {
+            throw new InvalidActionError(feeEstimationError, `Fee priority must be one of ${FEE_PRIORITIES.join(', ')}`);
+        }
+        const dexWallet = this.dexWallets[walletAddress];
+        if (!dexWallet) {
+            throw new InvalidActionError(feeEstimationError, `Wallet address ${walletAddress} is not a DEX wallet`);
+        }
+        const multisigSnapshot = dexWallet.multisig;
+        try {
+            const {data: {minFeePerByte, feeEstimatePerByte}} = await this.repository.getFees();
+            const unsignedTxn = this.createTransferTransaction({
+                nonce: nonce == null ? MAX_UINT64 : nonce,
+                fee: 0,
+                senderPublicKey: multisigSnapshot.publicKeys[0],
+                tokenID,
+                recipientAddress: recipientAddress || walletAddress,
+                amount: amount == null ? MAX_UINT64 : amount,
+                message,
+                receivingChainID,
+                messageFee: messageFee == null && receivingChainID ? MAX_UINT64 : messageFee,
+                messageFeeTokenID,
+            });
+            const minFee = this.computeTransferFee(unsignedTxn, multisigSnapshot, minFeePerByte);
+            const fee = this.computeTransferFee(unsignedTxn, multisigSnapshot, minFeePerByte + feeEstimatePerByte[priority]);
+            return {
+                priority,
+                minFee: minFee.toString(),
+                fee: fee.toString(),
+            };
+        } catch (err) {
+            throw new InvalidActionError(feeEstimationError, `Error estimating transfer fee - ${err.message}`, err);
+        }
+    }
+
+    async getMinFeePerByte() {
+        try {
+            const {data: {minFeePerByte}} = await this.repository.getFees();
+            return minFeePerByte;
+        } catch (err) {
+            this.logger.warn(`Failed to get the minimum fee per byte, falling back to ${liskTransactions.DEFAULT_MIN_FEE_PER_BYTE} - ${err.message}`);
+            return liskTransactions.DEFAULT_MIN_FEE_PER_BYTE;
+        }
+    }
+
+    /**
+     * Builds the unsigned transaction for a DEX transaction object and checks its fee against the minimum fee.
+     * Members sign the returned signing bytes; the same bytes are used to verify their signatures.
+     */
+    async createUnsignedTransaction(transaction, multisigSnapshot) {
+        const unsignedTxn = this.createTransferTransaction(transaction);
+
+        const minFee = this.computeTransferFee(unsignedTxn, multisigSnapshot, await this.getMinFeePerByte());
+        if (unsignedTxn.fee < minFee) {
+            throw new InvalidActionError(insufficientFeeError, `Transaction fee ${unsignedTxn.fee} is lower than the minimum fee ${minFee}`);
+        }
+
+        return {
+            unsignedTxn,
+            signingBytes: liskTransactions.getSigningBytes(unsignedTxn, getTransactionParamsSchema(unsignedTxn)),
+        };
+    }
+
+    /**
+     * Builds the transaction bytes which are broadcast for a DEX transaction object: the fee is checked against
+     * the minimum fee and only a valid selection of the member signatures is placed in the signature slots.
+     */
+    async createSignedTransaction(transaction) {
+        const multisigSnapshot = this.getSenderDEXWallet(transaction.senderPublicKey).multisig;
+
+        const {unsignedTxn: signedTxn, signingBytes} = await this.createUnsignedTransaction(transaction, multisigSnapshot);
+        const {validSignaturePackets, droppedSignaturePackets} = verifySignaturePackets(multisigSnapshot, signingBytes, this.chainID, this.chainSymbol, transaction.signatures);
+        const droppedSignerAddresses = droppedSignaturePackets.map((signaturePacket) => signaturePacket.signerAddress);
+        if (droppedSignerAddresses.length) {
+            this.logger.warn(`Dropped invalid signatures of transaction ${transaction.id} from signers ${droppedSignerAddresses.join(', ')}`);
+        }
+
+        let selectedSignatures;
+        try {
+            selectedSignatures = selectSignaturePackets(multisigSnapshot, validSignaturePackets);
+        } catch (err) {
+            const droppedMessage = droppedSignerAddresses.length ? ` - Dropped invalid signatures from ${droppedSignerAddresses.join(', ')}` : '';
+            let error = new InvalidActionError(insufficientSignaturesError, `Error selecting transaction signatures - ${err.message}${droppedMessage}`, err);
+            error.droppedSignerAddresses = droppedSignerAddresses;
+            throw error;
+        }
+
+        signedTxn.signatures = createSignatureSlots(multisigSnapshot, selectedSignatures);
+
+        return {
+            signedTxn,
+            payloadTxn: liskTransactions.getBytes(signedTxn, getTransactionParamsSchema(signedTxn)).toString('hex'),
+            droppedSignerAddresses,
+        };
+    }
+
+    /**
+     * Returns what a member needs to sign the DEX transaction object: the unsigned transaction bytes and the
+     * digest which is signed (the hash of the transaction tag, the chain ID and the unsigned bytes). The on-chain
+     * transaction ID depends on which signatures are selected, so only the DEX transaction ID is returned.
+     */
+    async prepareTransaction({params: {transaction}}) {
+        const {unsignedTxn, signingBytes} = await this.createUnsignedTransaction(transaction, this.getSenderDEXWallet(transaction.senderPublicKey).multisig);
+        const senderAddress = transaction.senderAddress || liskCryptography.address.getLisk32AddressFromPublicKey(unsignedTxn.senderPublicKey, this.chainSymbol);
+        return {
+            id: computeDEXTransactionId(senderAddress, transaction.nonce),
+            module: unsignedTxn.module,
+            command: unsignedTxn.command,
+            chainID: this.chainID,
+            transactionBytes: signingBytes.toString('hex'),
+            signingDigest: computeSigningDigest(signingBytes, this.chainID).toString('hex'),
+        };
+    }
+
+    /**
+     * Signs the DEX transaction object on behalf of a DEX wallet member and returns a signature packet which
+     * can be added to the signatures of the transaction passed to postTransaction. The member key is given
+     * either as a hex privateKey or as a passphrase; a passphrase is converted with the legacy (Lisk 3)
+     * derivation unless a keyDerivationPath (e.g. m/44'/134'/0') is specified.
+     */
+    async signTransaction({params: {transaction, passphrase, privateKey, keyDerivationPath}}) {
+        const {walletAddress, multisig: multisigSnapshot} = this.getSenderDEXWallet(transaction.senderPublicKey);
+        let privateKeyBuffer;
+        try {
+            if (privateKey) {
+                privateKeyBuffer = toBuffer(privateKey);
+            } else if (passphrase && keyDerivationPath) {
+                privateKeyBuffer = await liskCryptography.ed.getPrivateKeyFromPhraseAndPath(passphrase, keyDerivationPath);
+            } else if (passphrase) {
+                privateKeyBuffer = liskCryptography.legacy.getPrivateAndPublicKeyFromPassphrase(passphrase).privateKey;
+            } else {
+                throw new Error('Either a passphrase or a privateKey must be provided');
+            }
+            if (privateKeyBuffer.length !== PRIVATE_KEY_LENGTH) {
+                throw new Error(`Private key must be ${PRIVATE_KEY_LENGTH} bytes`);
             }
+        } catch (err) {
+            throw new InvalidActionError(transactionSigningError, `Error getting the signer key - ${err.message}`, err);
+        }
+
+        const {signingBytes} = await this.createUnsignedTransaction(transaction, multisigSnapshot);
+        const signaturePacket = createSignaturePacket(signingBytes, this.chainID, this.chainSymbol, privateKeyBuffer);
+        if (!multisigSnapshot.publicKeys.includes(signaturePacket.publicKey)) {
+            throw new InvalidActionError(transactionSigningError, `Signer ${signaturePacket.signerAddress} is not a member of the DEX wallet ${walletAddress}`);
+        }
+        return signaturePacket;
+    }
+
+    async dryRunSignedTransaction(transaction, payloadTxn) {
+        let dryRunResult;
+        try {
+            dryRunResult = await this.repository.dryRunTransaction(payloadTxn);
+        } catch (err) {
+            const baseMessage = err.message ? ` - ${err.message}` : '';
+            throw new InvalidActionError(transactionDryRunError, `Error dry running transaction ${transaction.id}${baseMessage}`, err);
+        }
+        const {result, events, errorMessage} = dryRunResult;
+        return {
+            success: result === DRY_RUN_RESULT_SUCCESS,
+            status: dryRunStatuses[result] || DRY_RUN_STATUS_INVALID,
+            events,
+            errorMessage: errorMessage || null,
         };
+    }
+
+    /**
+     * Executes the transaction exactly as postTransaction would broadcast it, without broadcasting it.
+     */
+    async dryRunTransaction({params: {transaction}}) {
+        const {payloadTxn, droppedSignerAddresses} = await this.createSignedTransaction(transaction);
+        return {
+            id: transaction.id,
+            ...await this.dryRunSignedTransaction(transaction, payloadTxn),
+            droppedSignerAddresses,
+        };
+    }
+
+    async postTransaction({params: {transaction, dryRun = false}}) {
+        const {signedTxn, payloadTxn, droppedSignerAddresses} = await this.createSignedTransaction(transaction);
+
+        if (dryRun) {
+            const dryRunResult = await this.dryRunSignedTransaction(transaction, payloadTxn);
+            if (!dryRunResult.success) {
+                const reason = dryRunResult.errorMessage ? ` - ${dryRunResult.errorMessage}` : '';
+                let error = new InvalidActionError(transactionDryRunError, `Transaction ${transaction.id} was ${dryRunResult.status} in the dry run${reason}`);
+                error.dryRunResult = dryRunResult;
+                throw error;
+            }
+        }
 
         try {
-            let binaryTxn = liskTransactions.getBytes(signedTxn, tokenTransferSchema);
-            let payloadTxn = binaryTxn.toString('hex');
-            let response = await this.liskServiceRepo.postTransaction(payloadTxn);
+            let response = await this.repository.postTransaction(payloadTxn);
 
             if (!response || !response.transactionID) {
                 throw new Error('Invalid transaction response');
             }
+            this.transactionBroadcastsMetric.inc({result: 'success'});
+
+            const senderAddress = transaction.senderAddress || liskCryptography.address.getLisk32AddressFromPublicKey(signedTxn.senderPublicKey, this.chainSymbol);
+            return {
+                id: computeDEXTransactionId(senderAddress, transaction.nonce),
+                transactionID: response.transactionID,
+                droppedSignerAddresses,
+            };
         } catch (err) {
+            this.transactionBroadcastsMetric.inc({result: 'failure'});
             const baseMessage = err.message ? ` - ${err.message}` : '';
             throw new InvalidActionError(transactionBroadcastError, `Error broadcasting transaction to the lisk network${baseMessage}`, err);
         }
     }
 
-    async load(channel) {
-        if (!this.dexWalletAddress) {
-            throw new Error('Dex wallet address not provided in the config');
+    /**
+     * A transaction is identified by its sender and nonce; if transactionID is provided, a different
+     * transaction which uses the same nonce is reported as expired. A transaction which was included in a block
+     * but failed to execute is reported as failed since it used its nonce without transferring any tokens.
+     */
+    async getTransactionStatus({params: {walletAddress, nonce, transactionID}}) {
+        const id = computeDEXTransactionId(walletAddress, nonce);
+        let transaction;
+        let accountAuth;
+        try {
+            transaction = await this.repository.getTransactionBySenderAndNonce(walletAddress, nonce);
+            if (!transaction) {
+                accountAuth = await this.repository.getAuth(walletAddress);
+            }
+        } catch (err) {
+            if (!notFound(err)) {
+                throw new InvalidActionError(transactionDidNotExistError, `Error getting transaction with nonce ${nonce} from account address ${walletAddress}`, err);
+            }
+        }
+
+        if (transaction) {
+            if (transactionID && transaction.id !== transactionID) {
+                return {id, transactionID, status: TRANSACTION_STATUS_EXPIRED};
+            }
+            if (transaction.executionStatus === TRANSACTION_STATUS_PENDING || !transaction.block) {
+                return {id, transactionID: transaction.id, status: TRANSACTION_STATUS_PENDING, executionStatus: transaction.executionStatus};
+            }
+            return {
+                id,
+                transactionID: transaction.id,
+                status: transaction.executionStatus === EXECUTION_STATUS_FAILED ? TRANSACTION_STATUS_FAILED : TRANSACTION_STATUS_INCLUDED,
+                executionStatus: transaction.executionStatus,
+                height: transaction.block.height,
+                blockId: transaction.block.id,
+            };
         }
+
+        if (accountAuth && BigInt(accountAuth.nonce) > BigInt(nonce)) {
+            return {id, transactionID, status: TRANSACTION_STATUS_EXPIRED};
+        }
+        throw new InvalidActionError(transactionDidNotExistError, `Transaction with nonce ${nonce} from account address ${walletAddress} did not exist`);
+    }
+
+    async load(channel) {
         this.channel = channel;
 
+        if (this.metricsServer) {
+            await this.metricsServer.start();
+        }
+
         await this.channel.invoke('app:updateModuleState', {
             [this.alias]: {},
         });
 
         await channel.publish(`${this.alias}:${MODULE_BOOTSTRAP_EVENT}`);
 
-        const accountAuth = await this.liskServiceRepo.getAuth(this.dexWalletAddress);
-        this.dexMultisigPublicKeys = Array.from(new Set([...accountAuth.mandatoryKeys, ...accountAuth.optionalKeys]));
-        this.dexNumberOfSignatures = accountAuth.numberOfSignatures;
+        if (!this.chainID) {
+            const networkStatus = await this.repository.getNetworkStatus();
+            this.chainID = networkStatus.data.chainID;
+        }
+        if (!this.tokenID) {
+            this.tokenID = getMainchainTokenID(this.chainID);
+            for (let transactionIndex of this.getTransactionIndexes()) {
+                transactionIndex.tokenID = this.tokenID;
+            }
+        }
+
+        await this.refreshDEXMultisig();
+        if (this.multisigRefreshInterval) {
+            this.scheduleMultisigRefresh();
+        }
+
+        await this.startBlockWatcher();
+        this.syncTransactionIndex();
+    }
+
+    async unload() {
+        this.stopBlockWatcher();
+        await this.transactionIndexSyncPromise;
+        clearTimeout(this.multisigRefreshTimeout);
+        this.multisigRefreshTimeout = null;
+        if (this.repository.disconnect) {
+            await this.repository.disconnect();
+        }
+        if (this.metricsServer) {
+            await this.metricsServer.stop();
+        }
+    }
+
+    /**
+     * Re-reads the multisig membership of every DEX wallet. Each snapshot is replaced as a whole so actions
+     * which captured the previous snapshot keep using a consistent set of keys.
+     */
+    async refreshDEXMultisig() {
+        if (!this.multisigRefreshPromise) {
+            this.multisigRefreshPromise = Promise.all(
+                Object.values(this.dexWallets).map((dexWallet) => this.refreshDEXWalletMultisig(dexWallet))
+            );
+        }
+        try {
+            await this.multisigRefreshPromise;
+        } finally {
+            this.multisigRefreshPromise = null;
+        }
+    }
+
+    async refreshDEXWalletMultisig(dexWallet) {
+        const accountAuth = await this.repository.getAuth(dexWallet.walletAddress);
+        const previousSnapshot = dexWallet.multisig;
+        const snapshot = createMultisigSnapshot(accountAuth);
+        if (previousSnapshot && isSameMultisigSnapshot(previousSnapshot, snapshot)) {
+            return;
+        }
+        dexWallet.multisig = snapshot;
+        if (previousSnapshot) {
+            await this.channel.publish(`${this.alias}:${MODULE_MULTISIG_MEMBERS_CHANGED_EVENT}`, {
+                walletAddress: dexWallet.walletAddress,
+                memberAddresses: this.getMemberAddresses(snapshot),
+                mandatoryKeys: snapshot.mandatoryKeys,
+                optionalKeys: snapshot.optionalKeys,
+                numberOfSignatures: snapshot.numberOfSignatures,
+            });
+        }
+    }
+
+    getMemberAddresses({publicKeys}) {
+        return publicKeys.map((publicKey) => getBase32AddressFromPublicKey(toBuffer(publicKey), this.chainSymbol));
+    }
+
+    scheduleMultisigRefresh() {
+        this.multisigRefreshTimeout = setTimeout(async () => {
+            try {
+                await this.refreshDEXMultisig();
+            } catch (err) {
+                this.logger.warn(`Failed to refresh DEX wallet multisig members - ${err.message}`);
+            }
+            if (this.multisigRefreshTimeout) {
+                this.scheduleMultisigRefresh();
+            }
+        }, this.multisigRefreshInterval);
+    }
+
+    async startBlockWatcher() {
+        const lastBlock = await this.getLatestBlock();
+        this.reorgTracker.reset(lastBlock);
+        this.isBlockWatcherActive = true;
+        this.scheduleBlockPoll();
     }
 
-    async unload() {}
+    stopBlockWatcher() {
+        this.isBlockWatcherActive = false;
+        clearTimeout(this.blockWatcherTimeout);
+        this.blockWatcherTimeout = null;
+    }
+
+    scheduleBlockPoll() {
+        if (!this.isBlockWatcherActive) {
+            return;
+        }
+        this.blockWatcherTimeout = setTimeout(async () => {
+            try {
+                await this.processChainChanges();
+            } catch (err) {
+                this.logger.warn(`Failed to process chain changes - ${err.message}`);
+            }
+            this.scheduleBlockPoll();
+        }, this.blockPollInterval);
+    }
+
+    async publishChainChange(type, block) {
+        await this.channel.publish(`${this.alias}:${MODULE_CHAIN_CHANGES_EVENT}`, {
+            type,
+            block: blockMapper(block),
+        });
+    }
+
+    async publishChainRollback(orphanedBlocks) {
+        await this.channel.publish(`${this.alias}:${MODULE_CHAIN_ROLLBACK_EVENT}`, {
+            commonHeight: orphanedBlocks[orphanedBlocks.length - 1].height - 1,
+            orphanedBlocks: orphanedBlocks.map(blockMapper),
+        });
+    }
+
+    /**
+     * A tracked block is only orphaned if the chain has a different block at its height. A node which lags
+     * behind reports a lower tip and does not know the block yet, which does not mean that it was replaced.
+     */
+    async isOrphanedBlock(trackedBlock, latestBlock) {
+        if (trackedBlock.height === latestBlock.height) {
+            return trackedBlock.id !== latestBlock.id;
+        }
+        if (trackedBlock.height > latestBlock.height) {
+            const trackedTipBlockId = this.reorgTracker.getBlockId(latestBlock.height);
+            if (trackedTipBlockId) {
+                return trackedTipBlockId !== latestBlock.id;
+            }
+        }
+        const canonicalBlock = await this.repository.getBlockAtHeight(trackedBlock.height);
+        return !!canonicalBlock && canonicalBlock.id !== trackedBlock.id;
+    }
+
+    /**
+     * Rolls back the tracked blocks which are no longer part of the canonical chain; removeBlock events are
+     * published from the highest block down, followed by a single chainRollback event which lists them all.
+     * Only the last maxRollbackDepth blocks are tracked so a deeper fork is rolled back from the deepest tracked block.
+     */
+    async rollBackOrphanedBlocks(latestBlock) {
+        let orphanedBlocks = [];
+        while (this.reorgTracker.size) {
+            const lastSeenBlock = this.reorgTracker.getLastBlock();
+            if (!await this.isOrphanedBlock(lastSeenBlock, latestBlock)) {
+                break;
+            }
+            this.reorgTracker.removeLastBlock();
+            orphanedBlocks.push(lastSeenBlock);
+            await this.publishChainChange('removeBlock', lastSeenBlock);
+        }
+        if (orphanedBlocks.length && !this.reorgTracker.size) {
+            const deepestOrphanedBlock = orphanedBlocks[orphanedBlocks.length - 1];
+            this.logger.warn(`Fork is deeper than the ${orphanedBlocks.length} tracked blocks, blocks below height ${deepestOrphanedBlock.height} may have been orphaned without being rolled back`);
+        }
+        if (orphanedBlocks.length) {
+            await this.publishChainRollback(orphanedBlocks);
+        }
+        return orphanedBlocks;
+    }
+
+    /**
+     * Publishes the blocks which were added since the last tracked block. The result is not consistent if a fetched
+     * block does not extend the last tracked block, which means that the chain changed while it was being read.
+     * If every tracked block was orphaned, blocks are added from the deepest orphaned height so that none are skipped.
+     */
+    async addNewBlocks(latestBlock, orphanedBlocks = []) {
+        const lastTrackedBlock = this.reorgTracker.getLastBlock();
+        const deepestOrphanedBlock = orphanedBlocks[orphanedBlocks.length - 1];
+        let fromHeight;
+        if (lastTrackedBlock) {
+            fromHeight = lastTrackedBlock.height;
+        } else if (deepestOrphanedBlock) {
+            fromHeight = deepestOrphanedBlock.height - 1;
+        } else {
+            fromHeight = latestBlock.height - 1;
+        }
+        let addedBlockCount = 0;
+
+        while (fromHeight < latestBlock.height && this.isBlockWatcherActive) {
+            const blocks = await this.repository.getBlocksBetweenHeights(fromHeight, latestBlock.height, this.blockFetchLimit);
+            if (!blocks.length) {
+                break;
+            }
+            for (let block of blocks) {
+                if (!this.reorgTracker.extendsLastBlock(block)) {
+                    return {addedBlockCount, isConsistent: false};
+                }
+                this.reorgTracker.addBlock(block);
+                await this.publishChainChange('addBlock', block);
+                addedBlockCount++;
+            }
+            fromHeight = blocks[blocks.length - 1].height;
+        }
+        return {addedBlockCount, isConsistent: true};
+    }
+
+    async processChainChanges() {
+        let hasAddedBlocks = false;
+        let hasRemovedBlocks = false;
+
+        // A fork which happens while new blocks are read is rolled back right away.
+        for (let attempt = 0; attempt < MAX_CHAIN_CHANGE_ATTEMPTS; attempt++) {
+            const latestBlock = await this.getLatestBlock();
+            if (!latestBlock) {
+                return;
+            }
+            const orphanedBlocks = await this.rollBackOrphanedBlocks(latestBlock);
+            const {addedBlockCount, isConsistent} = await this.addNewBlocks(latestBlock, orphanedBlocks);
+            hasRemovedBlocks = hasRemovedBlocks || orphanedBlocks.length > 0;
+            hasAddedBlocks = hasAddedBlocks || addedBlockCount > 0;
+            if (isConsistent) {
+                break;
+            }
+        }
+
+        if (hasAddedBlocks || hasRemovedBlocks) {
+            this.syncTransactionIndex();
+        }
+
+        if (hasAddedBlocks && !this.multisigRefreshInterval) {
+            await this.refreshDEXMultisig();
+        }
+    }
 }
 
 module.exports = LiskV3DEXAdapter;
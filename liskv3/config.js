@@ -0,0 +1,129 @@
+const {
+  cryptography: liskCryptography,
+  validator: {validator: liskValidator, LiskValidationError},
+} = require('@liskhq/lisk-client');
+
+const {ConfigValidationError} = require('./errors');
+
+const DEFAULT_CHAIN_SYMBOL = 'lsk';
+const CHAIN_SYMBOL_PATTERN = '^[a-z]{3}$';
+
+// Schemas with a description are reported as "must be <description>" instead of the generic validator message.
+const httpURLSchema = {type: 'string', pattern: '^https?://[^\\s/?#]+[^\\s]*$', description: 'an http:// or https:// URL'};
+const rpcURLSchema = {type: 'string', pattern: '^(https?|wss?)://[^\\s/?#]+[^\\s]*$', description: 'an http://, https://, ws:// or wss:// URL'};
+const addressSchema = {type: 'string', minLength: 1};
+const positiveIntegerSchema = {type: 'integer', minimum: 1};
+const nonNegativeIntegerSchema = {type: 'integer', minimum: 0};
+
+/**
+ * Creates the JSON schema of the adapter config. Cross-field constraints which cannot be expressed
+ * in the schema (e.g. address prefixes which depend on chainSymbol) are checked by validateAdapterConfig.
+ * @param backends - Names of the supported backends
+ */
+const createAdapterConfigSchema = (backends) => ({
+    $id: '/lisk-v4-dex-adapter/config',
+    type: 'object',
+    properties: {
+        dexWalletAddress: addressSchema,
+        dexWalletAddresses: {type: 'array', items: addressSchema},
+        chainSymbol: {type: 'string', pattern: CHAIN_SYMBOL_PATTERN, description: 'a lowercase address prefix of 3 letters, e.g. lsk'},
+        chainID: {type: 'string', pattern: '^[0-9a-fA-F]{8}$', description: 'a chain ID of 4 bytes in hex'},
+        tokenID: {type: 'string', pattern: '^[0-9a-fA-F]{16}$', description: 'a token ID of 8 bytes in hex'},
+        backend: {type: 'string', enum: backends},
+        serviceURL: httpURLSchema,
+        serviceURLs: {type: 'array', minItems: 1, items: httpURLSchema},
+        fallbacks: {type: 'array', items: httpURLSchema},
+        coreRPCURL: rpcURLSchema,
+        coreBlockBatchSize: positiveIntegerSchema,
+        coreMaxScanBlocks: positiveIntegerSchema,
+        ackTimeout: nonNegativeIntegerSchema,
+        nodeCoolDown: nonNegativeIntegerSchema,
+        maxRetries: nonNegativeIntegerSchema,
+        retryBaseDelay: nonNegativeIntegerSchema,
+        retryMaxDelay: nonNegativeIntegerSchema,
+        finalizedBlocksOnly: {type: 'boolean'},
+        blockPollInterval: positiveIntegerSchema,
+        blockFetchLimit: positiveIntegerSchema,
+        maxRollbackDepth: positiveIntegerSchema,
+        multisigRefreshInterval: nonNegativeIntegerSchema,
+        actionErrorWindow: positiveIntegerSchema,
+        networkStatusProbeTimeout: positiveIntegerSchema,
+        metricsHost: {type: 'string', minLength: 1},
+        metricsPort: {type: 'integer', minimum: 0, maximum: 65535},
+        cacheMaxEntries: nonNegativeIntegerSchema,
+        cacheDirectory: {type: 'string', minLength: 1},
+        diskCacheMaxEntries: positiveIntegerSchema,
+        finalizedHeightCacheTTL: nonNegativeIntegerSchema,
+        transactionIndexPath: {type: 'string', minLength: 1},
+        transactionIndexBatchSize: positiveIntegerSchema,
+        transactionIndexFromHeight: nonNegativeIntegerSchema,
+    },
+});
+
+const formatSchemaError = (schema, {dataPath, schemaPath, keyword, params, message}) => {
+    // Array items are reported as .serviceURLs.0; they are shown as .serviceURLs[0] instead.
+    dataPath = dataPath.replace(/\.(\d+)(?=\.|$)/g, '[$1]');
+    const propertySchema = schemaPath.split('/').slice(1, -1).reduce((subschema, key) => subschema && subschema[key], schema);
+    if (keyword === 'pattern' && propertySchema && propertySchema.description) {
+        return `config${dataPath} must be ${propertySchema.description}`;
+    }
+    if (keyword === 'enum') {
+        return `config${dataPath} must be one of ${params.allowedValues.join(', ')}`;
+    }
+    return `config${dataPath} ${message}`;
+};
+
+/**
+ * Validates the adapter config and throws a ConfigValidationError which lists every problem at once.
+ * Properties which are not part of the schema are allowed since the host application may add its own,
+ * but they are reported through the logger in case they are misspelled.
+ * @param config - Adapter config
+ * @param backends - Names of the supported backends
+ * @param logger - Logger used to report unknown properties
+ */
+const validateAdapterConfig = (config, {backends, logger = console}) => {
+    const schema = createAdapterConfigSchema(backends);
+    let errors = [];
+    try {
+        liskValidator.validate(schema, config);
+    } catch (err) {
+        if (!(err instanceof LiskValidationError)) {
+            throw err;
+        }
+        errors.push(...err.errors.map((error) => formatSchemaError(schema, error)));
+    }
+
+    // If the chainSymbol itself is invalid, the checksum of each address is still checked against its own prefix.
+    const isValidChainSymbol = config.chainSymbol == null || new RegExp(CHAIN_SYMBOL_PATTERN).test(config.chainSymbol);
+    const chainSymbol = config.chainSymbol == null ? DEFAULT_CHAIN_SYMBOL : config.chainSymbol;
+    const walletAddresses = [
+        ['config.dexWalletAddress', config.dexWalletAddress],
+        ...(Array.isArray(config.dexWalletAddresses) ? config.dexWalletAddresses : [])
+            .map((walletAddress, index) => [`config.dexWalletAddresses[${index}]`, walletAddress]),
+    ].filter(([, walletAddress]) => typeof walletAddress === 'string' && walletAddress);
+    if (!walletAddresses.length) {
+        errors.push('config.dexWalletAddress must be provided');
+    }
+    for (let [propertyPath, walletAddress] of walletAddresses) {
+        const prefix = isValidChainSymbol ? chainSymbol : walletAddress.slice(0, 3);
+        try {
+            liskCryptography.address.validateLisk32Address(walletAddress, prefix);
+        } catch (err) {
+            errors.push(`${propertyPath} must be a valid ${prefix} address - ${err.message}`);
+        }
+    }
+
+    if (errors.length) {
+        throw new ConfigValidationError(errors);
+    }
+
+    const unknownProperties = Object.keys(config).filter((property) => !schema.properties[property]);
+    if (unknownProperties.length) {
+        logger.warn(`Ignored unknown config properties ${unknownProperties.join(', ')}`);
+    }
+};
+
+module.exports = {
+    createAdapterConfigSchema,
+    validateAdapterConfig,
+};
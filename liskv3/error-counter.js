@@ -0,0 +1,44 @@
+/**
+ * Counts errors by key (e.g. action name) over a sliding time window so that only recent errors are reported.
+ */
+class ErrorCounter {
+    constructor({windowDuration}) {
+        this.windowDuration = windowDuration;
+        // Timestamps of the errors in the window by key, in ascending order.
+        this.errorTimes = {};
+    }
+
+    record(key, time = Date.now()) {
+        if (!this.errorTimes[key]) {
+            this.errorTimes[key] = [];
+        }
+        this.errorTimes[key].push(time);
+        this.prune(key, time);
+    }
+
+    prune(key, now) {
+        const errorTimes = this.errorTimes[key];
+        const firstRecentIndex = errorTimes.findIndex((time) => time > now - this.windowDuration);
+        if (firstRecentIndex === -1) {
+            delete this.errorTimes[key];
+        } else if (firstRecentIndex > 0) {
+            errorTimes.splice(0, firstRecentIndex);
+        }
+    }
+
+    /**
+     * Returns the number of errors in the window by key; keys without recent errors are left out.
+     */
+    getCounts(now = Date.now()) {
+        let counts = {};
+        for (let key of Object.keys(this.errorTimes)) {
+            this.prune(key, now);
+            if (this.errorTimes[key]) {
+                counts[key] = this.errorTimes[key].length;
+            }
+        }
+        return counts;
+    }
+}
+
+module.exports = ErrorCounter;
@@ -16,19 +16,41 @@ class InvalidActionError extends Error {
     }
 }
 
+/**
+ * Thrown when the adapter config is invalid; errors lists every problem which was found.
+ */
+class ConfigValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid DEX adapter config:\n${errors.map((error) => `- ${error}`).join('\n')}`);
+        this.name = 'ConfigValidationError';
+        this.errors = errors;
+    }
+}
+
 const multisigAccountDidNotExistError = 'MultisigAccountDidNotExistError';
 const accountDidNotExistError = 'AccountDidNotExistError';
 const accountWasNotMultisigError = 'AccountWasNotMultisigError';
 const blockDidNotExistError = 'BlockDidNotExistError';
 const transactionDidNotExistError = 'TransactionDidNotExistError';
 const transactionBroadcastError = 'TransactionBroadcastError';
+const insufficientSignaturesError = 'InsufficientSignaturesError';
+const insufficientFeeError = 'InsufficientFeeError';
+const feeEstimationError = 'FeeEstimationError';
+const transactionDryRunError = 'TransactionDryRunError';
+const transactionSigningError = 'TransactionSigningError';
 
 module.exports = {
     InvalidActionError,
+    ConfigValidationError,
     multisigAccountDidNotExistError,
     accountDidNotExistError,
     accountWasNotMultisigError,
     blockDidNotExistError,
     transactionDidNotExistError,
     transactionBroadcastError,
+    insufficientSignaturesError,
+    insufficientFeeError,
+    feeEstimationError,
+    transactionDryRunError,
+    transactionSigningError,
 };
@@ -0,0 +1,82 @@
+const {
+    codec: {codec: liskCodec},
+    cryptography: liskCryptography,
+} = require('@liskhq/lisk-client');
+
+const {toBuffer} = require('../common/utils');
+const {ccmSchema, crossChainTransferMessageParamsSchema} = require('./schemas');
+
+const TOKEN_MODULE = 'token';
+const CROSS_CHAIN_TRANSFER_COMMAND = 'transferCrossChain';
+const INTEROPERABILITY_MODULE = 'interoperability';
+const CCM_PROCESSED_EVENT = 'ccmProcessed';
+// Result of a cross-chain message which was executed on the receiving chain (as opposed to forwarded, bounced or discarded).
+const CCM_PROCESSED_RESULT_APPLIED = 0;
+const DEFAULT_CHAIN_SYMBOL = 'lsk';
+
+const isCrossChainTransferCredit = ({module, name, data}) =>
+    module === INTEROPERABILITY_MODULE &&
+    name === CCM_PROCESSED_EVENT &&
+    data.result === CCM_PROCESSED_RESULT_APPLIED &&
+    data.ccm.module === TOKEN_MODULE &&
+    data.ccm.crossChainCommand === CROSS_CHAIN_TRANSFER_COMMAND;
+
+const computeCCMID = (ccm) => liskCryptography.utils.hash(liskCodec.encode(ccmSchema, liskCodec.fromJSON(ccmSchema, ccm))).toString('hex');
+
+/**
+ * Converts a ccmProcessed event of a cross-chain token transfer into the shape of a Lisk Service transaction
+ * so that it can be mapped like any other transfer; the sending chain ID is exposed alongside the params.
+ * @param event - ccmProcessed event with decoded data
+ * @param block - Block which contains the event ({id, height, timestamp})
+ * @returns {Object}
+ */
+const toServiceCrossChainTransfer = ({data: {ccm}}, {id, height, timestamp}, chainSymbol) => {
+    const {tokenID, amount, senderAddress: rawSenderAddress, recipientAddress: rawRecipientAddress, data} = liskCodec.decode(crossChainTransferMessageParamsSchema, toBuffer(ccm.params));
+    const senderAddress = liskCryptography.address.getLisk32AddressFromAddress(rawSenderAddress, chainSymbol);
+    const recipientAddress = liskCryptography.address.getLisk32AddressFromAddress(rawRecipientAddress, chainSymbol);
+    return {
+        id: computeCCMID(ccm),
+        moduleCommand: `${TOKEN_MODULE}:${CROSS_CHAIN_TRANSFER_COMMAND}`,
+        nonce: ccm.nonce,
+        fee: ccm.fee,
+        sender: {
+            address: senderAddress,
+        },
+        params: {
+            tokenID: tokenID.toString('hex'),
+            amount: amount.toString(),
+            recipientAddress,
+            data,
+        },
+        sendingChainID: ccm.sendingChainID,
+        signatures: [],
+        block: {id, height, timestamp},
+    };
+};
+
+/**
+ * Returns the cross-chain token transfers which were credited by the given events
+ * @param events - Events of a single block with decoded data
+ * @param block - Block which contains the events
+ * @param filter - Optional recipientAddress and tokenID
+ * @param chainSymbol - Prefix of the returned addresses, e.g. lsk
+ * @returns {Array}
+ */
+const getCrossChainTransferCredits = (events, block, {recipientAddress, tokenID}, chainSymbol = DEFAULT_CHAIN_SYMBOL) => events
+    .filter(isCrossChainTransferCredit)
+    .map((event) => toServiceCrossChainTransfer(event, block, chainSymbol))
+    .filter((transfer) =>
+        (recipientAddress == null || transfer.params.recipientAddress === recipientAddress) &&
+        (tokenID == null || transfer.params.tokenID === tokenID)
+    );
+
+// The LSK token ID of a network is derived from its mainchain ID, which shares the network byte of every chain ID.
+const getMainchainTokenID = (chainID) => `${chainID.slice(0, 2)}00000000000000`;
+
+module.exports = {
+    CCM_PROCESSED_EVENT,
+    INTEROPERABILITY_MODULE,
+    isCrossChainTransferCredit,
+    getCrossChainTransferCredits,
+    getMainchainTokenID,
+};
@@ -1,18 +1,28 @@
 const { computeDEXTransactionId } = require('../common/utils');
 
-const transactionMapper = ({nonce, params: {amount, recipientAddress, data}, sender, block: {timestamp}, signatures = []}) => {
+// Cross-chain messages are numbered per sending chain, so their nonces are only unique together with the chain ID.
+const transactionMapper = ({nonce, params: {tokenID, amount, recipientAddress, data, receivingChainID}, sender, sendingChainID, block: {timestamp}, signatures = []}) => {
     return {
-        id: computeDEXTransactionId(sender.address, nonce),
+        id: computeDEXTransactionId(sendingChainID ? `${sendingChainID}:${sender.address}` : sender.address, nonce),
         message: data,
+        tokenID,
         amount,
         timestamp,
         senderAddress: sender.address,
         recipientAddress,
         signatures,
         nonce,
+        ...(sendingChainID && {sendingChainID}),
+        ...(receivingChainID && {receivingChainID}),
     };
 };
 
-const blockMapper = ({id, height, timestamp, numberOfTransactions}) => ({id, height, timestamp, numberOfTransactions});
+const blockMapper = ({id, height, timestamp, numberOfTransactions, previousBlockID}) => ({
+    id,
+    height,
+    timestamp,
+    numberOfTransactions,
+    ...(previousBlockID && {previousBlockID}),
+});
 
 module.exports = {transactionMapper, blockMapper};
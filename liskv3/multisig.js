@@ -0,0 +1,152 @@
+const shuffle = require('lodash.shuffle');
+const {cryptography: liskCryptography} = require('@liskhq/lisk-client');
+
+const {toBuffer} = require('../common/utils');
+const {TAG_TRANSACTION} = require('../common/constants');
+
+const sortPublicKeys = (publicKeys) => [...publicKeys].sort((a, b) => Buffer.compare(toBuffer(a), toBuffer(b)));
+
+/**
+ * Creates a snapshot of the multisig keys of an account with the keys in the order required by the protocol:
+ * sorted mandatory keys first, followed by sorted optional keys.
+ * @param accountAuth - Auth account object (numberOfSignatures, mandatoryKeys, optionalKeys)
+ * @returns {{mandatoryKeys: string[], optionalKeys: string[], publicKeys: string[], numberOfSignatures: number}}
+ */
+const createMultisigSnapshot = ({numberOfSignatures, mandatoryKeys, optionalKeys}) => {
+    const sortedMandatoryKeys = sortPublicKeys(mandatoryKeys);
+    const sortedOptionalKeys = sortPublicKeys(optionalKeys);
+    return Object.freeze({
+        mandatoryKeys: Object.freeze(sortedMandatoryKeys),
+        optionalKeys: Object.freeze(sortedOptionalKeys),
+        publicKeys: Object.freeze([...sortedMandatoryKeys, ...sortedOptionalKeys]),
+        numberOfSignatures,
+    });
+};
+
+const isSameMultisigSnapshot = (snapshotA, snapshotB) =>
+    snapshotA.numberOfSignatures === snapshotB.numberOfSignatures &&
+    snapshotA.mandatoryKeys.join(',') === snapshotB.mandatoryKeys.join(',') &&
+    snapshotA.optionalKeys.join(',') === snapshotB.optionalKeys.join(',');
+
+/**
+ * Selects exactly numberOfSignatures signature packets: every mandatory signer plus as many optional
+ * signers as needed. The first optional signature packet is always preferred, the rest are picked at random.
+ * @param multisigSnapshot - Snapshot created by createMultisigSnapshot
+ * @param signaturePackets - Array of {signerAddress, publicKey, signature} objects
+ * @returns {Array} - Selected signature packets
+ */
+const selectSignaturePackets = ({mandatoryKeys, optionalKeys, numberOfSignatures}, signaturePackets) => {
+    let publicKeySignatures = {};
+    for (let signaturePacket of signaturePackets) {
+        if (!publicKeySignatures[signaturePacket.publicKey]) {
+            publicKeySignatures[signaturePacket.publicKey] = signaturePacket;
+        }
+    }
+
+    const missingMandatoryKeys = mandatoryKeys.filter((publicKey) => !publicKeySignatures[publicKey]);
+    if (missingMandatoryKeys.length) {
+        throw new Error(`Missing signatures from mandatory members with public keys ${missingMandatoryKeys.join(', ')}`);
+    }
+
+    const requiredOptionalCount = numberOfSignatures - mandatoryKeys.length;
+    const optionalKeySet = new Set(optionalKeys);
+    const optionalPackets = Object.values(publicKeySignatures).filter((signaturePacket) => optionalKeySet.has(signaturePacket.publicKey));
+    if (optionalPackets.length < requiredOptionalCount) {
+        throw new Error(`Expected at least ${requiredOptionalCount} signatures from optional members but got ${optionalPackets.length}`);
+    }
+
+    const selectedOptionalPackets = requiredOptionalCount > 0
+        ? [optionalPackets[0], ...shuffle(optionalPackets.slice(1))].slice(0, requiredOptionalCount)
+        : [];
+
+    return [
+        ...mandatoryKeys.map((publicKey) => publicKeySignatures[publicKey]),
+        ...selectedOptionalPackets,
+    ];
+};
+
+const isValidSignaturePacket = ({publicKeys}, signingBytes, chainID, chainSymbol, {signerAddress, publicKey, signature}) => {
+    if (!publicKeys.includes(publicKey) || !signature) {
+        return false;
+    }
+    try {
+        const publicKeyBuffer = toBuffer(publicKey);
+        if (signerAddress !== liskCryptography.address.getLisk32AddressFromPublicKey(publicKeyBuffer, chainSymbol)) {
+            return false;
+        }
+        return liskCryptography.ed.verifyData(TAG_TRANSACTION, toBuffer(chainID), signingBytes, toBuffer(signature), publicKeyBuffer);
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * Computes the digest which members sign: the hash of the transaction tag, the chain ID and the signing bytes.
+ * @param signingBytes - Transaction signing bytes (transaction encoded without signatures)
+ * @param chainID - Hex chain ID
+ * @returns {Buffer}
+ */
+const computeSigningDigest = (signingBytes, chainID) =>
+    liskCryptography.utils.hash(liskCryptography.utils.tagMessage(TAG_TRANSACTION, toBuffer(chainID), signingBytes));
+
+/**
+ * Signs the transaction signing bytes with the private key of a member; the signer address uses the chainSymbol prefix.
+ * @returns {{signerAddress: string, publicKey: string, signature: string}}
+ */
+const createSignaturePacket = (signingBytes, chainID, chainSymbol, privateKey) => {
+    const publicKey = liskCryptography.ed.getPublicKeyFromPrivateKey(privateKey);
+    return {
+        signerAddress: liskCryptography.address.getLisk32AddressFromPublicKey(publicKey, chainSymbol),
+        publicKey: publicKey.toString('hex'),
+        signature: liskCryptography.ed.signDataWithPrivateKey(TAG_TRANSACTION, toBuffer(chainID), signingBytes, privateKey).toString('hex'),
+    };
+};
+
+/**
+ * Splits signature packets into those which are valid signatures of the transaction signing bytes by
+ * members of the multisig account and those which must be dropped (invalid or from non-members).
+ * @param multisigSnapshot - Snapshot created by createMultisigSnapshot
+ * @param signingBytes - Transaction signing bytes (transaction encoded without signatures)
+ * @param chainID - Hex chain ID
+ * @param chainSymbol - Prefix of the signer addresses, e.g. lsk
+ * @param signaturePackets - Array of {signerAddress, publicKey, signature} objects
+ * @returns {{validSignaturePackets: Array, droppedSignaturePackets: Array}}
+ */
+const verifySignaturePackets = (multisigSnapshot, signingBytes, chainID, chainSymbol, signaturePackets) => {
+    let validSignaturePackets = [];
+    let droppedSignaturePackets = [];
+    for (let signaturePacket of signaturePackets) {
+        if (isValidSignaturePacket(multisigSnapshot, signingBytes, chainID, chainSymbol, signaturePacket)) {
+            validSignaturePackets.push(signaturePacket);
+        } else {
+            droppedSignaturePackets.push(signaturePacket);
+        }
+    }
+    return {validSignaturePackets, droppedSignaturePackets};
+};
+
+/**
+ * Places the selected signatures in their protocol slots; slots of members who did not sign are left empty.
+ * @returns {Buffer[]}
+ */
+const createSignatureSlots = ({publicKeys}, selectedSignaturePackets) => {
+    let publicKeySignatures = {};
+    for (let signaturePacket of selectedSignaturePackets) {
+        publicKeySignatures[signaturePacket.publicKey] = signaturePacket;
+    }
+    return publicKeys.map((publicKey) => {
+        const signaturePacket = publicKeySignatures[publicKey];
+        return toBuffer(signaturePacket ? signaturePacket.signature : '');
+    });
+};
+
+module.exports = {
+    sortPublicKeys,
+    createMultisigSnapshot,
+    isSameMultisigSnapshot,
+    computeSigningDigest,
+    createSignaturePacket,
+    verifySignaturePackets,
+    selectSignaturePackets,
+    createSignatureSlots,
+};
@@ -0,0 +1,58 @@
+/**
+ * Remembers the IDs of the most recent blocks by height so that a fork can be detected and the blocks
+ * which were orphaned by it can be reported. Blocks are linked through their previousBlockID; a block
+ * which does not extend the last tracked block reveals that the chain changed.
+ */
+class ReorgTracker {
+    constructor({maxDepth}) {
+        this.maxDepth = maxDepth;
+        // Tracked blocks ordered by ascending height.
+        this.blocks = [];
+    }
+
+    get size() {
+        return this.blocks.length;
+    }
+
+    getLastBlock() {
+        return this.blocks.length ? this.blocks[this.blocks.length - 1] : null;
+    }
+
+    getBlockId(height) {
+        const block = this.blocks.find((block) => block.height === height);
+        return block ? block.id : null;
+    }
+
+    reset(block) {
+        this.blocks = block ? [block] : [];
+    }
+
+    /**
+     * Returns true if the block directly follows the last tracked block. If the previousBlockID of the
+     * block is unknown, only the height is checked.
+     */
+    extendsLastBlock(block) {
+        const lastBlock = this.getLastBlock();
+        if (!lastBlock) {
+            return true;
+        }
+        return block.height === lastBlock.height + 1 &&
+            (block.previousBlockID == null || block.previousBlockID === lastBlock.id);
+    }
+
+    addBlock(block) {
+        this.blocks.push(block);
+        if (this.blocks.length > this.maxDepth) {
+            this.blocks.splice(0, this.blocks.length - this.maxDepth);
+        }
+    }
+
+    /**
+     * Removes and returns the last tracked block.
+     */
+    removeLastBlock() {
+        return this.blocks.pop();
+    }
+}
+
+module.exports = ReorgTracker;
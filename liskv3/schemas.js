@@ -0,0 +1,227 @@
+const tokenTransferSchema = {
+  $id: '/lisk/transferParams',
+  title: 'Transfer transaction params',
+  type: 'object',
+  required: ['tokenID', 'amount', 'recipientAddress', 'data'],
+  properties: {
+    tokenID: {
+      dataType: 'bytes',
+      fieldNumber: 1,
+      minLength: 8,
+      maxLength: 8,
+    },
+    amount: {
+      dataType: 'uint64',
+      fieldNumber: 2,
+    },
+    recipientAddress: {
+      dataType: 'bytes',
+      fieldNumber: 3,
+      format: 'lisk32',
+    },
+    data: {
+      dataType: 'string',
+      fieldNumber: 4,
+      minLength: 0,
+      maxLength: 64,
+    },
+  },
+};
+
+const tokenTransferCrossChainSchema = {
+  $id: '/lisk/transferCrossChainParams',
+  title: 'Cross-chain transfer transaction params',
+  type: 'object',
+  required: [
+    'tokenID',
+    'amount',
+    'receivingChainID',
+    'recipientAddress',
+    'data',
+    'messageFee',
+    'messageFeeTokenID',
+  ],
+  properties: {
+    tokenID: {
+      dataType: 'bytes',
+      fieldNumber: 1,
+      minLength: 8,
+      maxLength: 8,
+    },
+    amount: {
+      dataType: 'uint64',
+      fieldNumber: 2,
+    },
+    receivingChainID: {
+      dataType: 'bytes',
+      fieldNumber: 3,
+      minLength: 4,
+      maxLength: 4,
+    },
+    recipientAddress: {
+      dataType: 'bytes',
+      fieldNumber: 4,
+      format: 'lisk32',
+    },
+    data: {
+      dataType: 'string',
+      fieldNumber: 5,
+      minLength: 0,
+      maxLength: 64,
+    },
+    messageFee: {
+      dataType: 'uint64',
+      fieldNumber: 6,
+    },
+    messageFeeTokenID: {
+      dataType: 'bytes',
+      fieldNumber: 7,
+      minLength: 8,
+      maxLength: 8,
+    },
+  },
+};
+
+// Params of the cross-chain message which is sent by a token:transferCrossChain transaction.
+const crossChainTransferMessageParamsSchema = {
+  $id: '/token/ccm/transfer/params',
+  type: 'object',
+  required: ['tokenID', 'amount', 'senderAddress', 'recipientAddress', 'data'],
+  properties: {
+    tokenID: {
+      dataType: 'bytes',
+      fieldNumber: 1,
+      minLength: 8,
+      maxLength: 8,
+    },
+    amount: {
+      dataType: 'uint64',
+      fieldNumber: 2,
+    },
+    senderAddress: {
+      dataType: 'bytes',
+      fieldNumber: 3,
+      format: 'lisk32',
+    },
+    recipientAddress: {
+      dataType: 'bytes',
+      fieldNumber: 4,
+      format: 'lisk32',
+    },
+    data: {
+      dataType: 'string',
+      fieldNumber: 5,
+      minLength: 0,
+      maxLength: 64,
+    },
+  },
+};
+
+const ccmProperties = {
+  module: {
+    dataType: 'string',
+    fieldNumber: 1,
+  },
+  crossChainCommand: {
+    dataType: 'string',
+    fieldNumber: 2,
+  },
+  nonce: {
+    dataType: 'uint64',
+    fieldNumber: 3,
+  },
+  fee: {
+    dataType: 'uint64',
+    fieldNumber: 4,
+  },
+  sendingChainID: {
+    dataType: 'bytes',
+    fieldNumber: 5,
+    minLength: 4,
+    maxLength: 4,
+  },
+  receivingChainID: {
+    dataType: 'bytes',
+    fieldNumber: 6,
+    minLength: 4,
+    maxLength: 4,
+  },
+  params: {
+    dataType: 'bytes',
+    fieldNumber: 7,
+  },
+  status: {
+    dataType: 'uint32',
+    fieldNumber: 8,
+  },
+};
+
+const ccmSchema = {
+  $id: '/modules/interoperability/ccm',
+  type: 'object',
+  required: Object.keys(ccmProperties),
+  properties: ccmProperties,
+};
+
+// Data of the interoperability:ccmProcessed event which is emitted for each cross-chain message received by the chain.
+const ccmProcessedEventDataSchema = {
+  $id: '/interoperability/events/ccmProcessed',
+  type: 'object',
+  required: ['ccm', 'result', 'code'],
+  properties: {
+    ccm: {
+      type: 'object',
+      fieldNumber: 1,
+      required: Object.keys(ccmProperties),
+      properties: ccmProperties,
+    },
+    result: {
+      dataType: 'uint32',
+      fieldNumber: 2,
+    },
+    code: {
+      dataType: 'uint32',
+      fieldNumber: 3,
+    },
+  },
+};
+
+// Data of the commandExecutionResult event which is emitted for each transaction; the first topic is the transaction ID.
+const commandExecutionResultEventDataSchema = {
+  $id: '/block/event/standard',
+  type: 'object',
+  required: ['success'],
+  properties: {
+    success: {
+      dataType: 'boolean',
+      fieldNumber: 1,
+    },
+  },
+};
+
+const transactionParamsSchemas = {
+  'token:transfer': tokenTransferSchema,
+  'token:transferCrossChain': tokenTransferCrossChainSchema,
+};
+
+/**
+ * Returns the params schema of a token transfer transaction based on its module and command.
+ */
+const getTransactionParamsSchema = ({module, command}) => {
+  const schema = transactionParamsSchemas[`${module}:${command}`];
+  if (!schema) {
+    throw new Error(`Unsupported transaction command ${module}:${command}`);
+  }
+  return schema;
+};
+
+module.exports = {
+  tokenTransferSchema,
+  tokenTransferCrossChainSchema,
+  crossChainTransferMessageParamsSchema,
+  ccmSchema,
+  ccmProcessedEventDataSchema,
+  commandExecutionResultEventDataSchema,
+  transactionParamsSchemas,
+  getTransactionParamsSchema,
+};
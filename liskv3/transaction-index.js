@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+
+const {wait} = require('../common/utils');
+
+const DEFAULT_BATCH_SIZE = 100000;
+// A batch is fetched again if the chain changed while it was fetched; the delay doubles after each attempt.
+const DEFAULT_MAX_BATCH_ATTEMPTS = 5;
+const DEFAULT_BATCH_RETRY_DELAY = 1000;
+
+// Version 2 added cross-chain credits to the inbound transfers; older indexes are rebuilt.
+const INDEX_FILE_VERSION = 2;
+
+const INBOUND = 'inbound';
+const OUTBOUND = 'outbound';
+
+/**
+ * File-based index of the token transfers to and from a single wallet. Transfers are synced in bulk
+ * using height range queries and stored per block so that per-block lookups do not require a request.
+ * The IDs of the most recent blocks are kept to detect forks; transfers of orphaned blocks are removed
+ * and synced again. The index is saved after each batch so that syncing resumes where it stopped.
+ * Tokens credited by cross-chain messages are indexed along with the inbound transfers.
+ */
+class TransactionIndex {
+    constructor({
+        repository,
+        filePath,
+        walletAddress,
+        tokenID,
+        fromHeight,
+        batchSize = DEFAULT_BATCH_SIZE,
+        maxRollbackDepth,
+        maxBatchAttempts = DEFAULT_MAX_BATCH_ATTEMPTS,
+        batchRetryDelay = DEFAULT_BATCH_RETRY_DELAY,
+        logger = console,
+    }) {
+        this.repository = repository;
+        this.filePath = filePath;
+        this.walletAddress = walletAddress;
+        this.tokenID = tokenID;
+        this.fromHeight = fromHeight;
+        this.batchSize = batchSize;
+        this.maxRollbackDepth = maxRollbackDepth;
+        this.maxBatchAttempts = maxBatchAttempts;
+        this.batchRetryDelay = batchRetryDelay;
+        this.logger = logger;
+        this.syncedHeight = null;
+        // Block IDs of the most recently synced heights, used to detect forks.
+        this.recentBlockIDs = {};
+        // Indexed transfers by block ID; only blocks which contain transfers of the wallet are included.
+        this.blocks = {};
+        this.syncPromise = null;
+    }
+
+    async load() {
+        let index;
+        try {
+            index = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                this.logger.warn(`Failed to read transaction index ${this.filePath}, it will be rebuilt - ${err.message}`);
+            }
+            return;
+        }
+        if (index.version !== INDEX_FILE_VERSION || index.walletAddress !== this.walletAddress || index.tokenID !== this.tokenID) {
+            this.logger.warn(`Transaction index ${this.filePath} does not match the wallet address and token ID, it will be rebuilt`);
+            return;
+        }
+        this.syncedHeight = index.syncedHeight;
+        this.recentBlockIDs = index.recentBlockIDs;
+        this.blocks = index.blocks;
+    }
+
+    async save() {
+        const index = {
+            version: INDEX_FILE_VERSION,
+            walletAddress: this.walletAddress,
+            tokenID: this.tokenID,
+            syncedHeight: this.syncedHeight,
+            recentBlockIDs: this.recentBlockIDs,
+            blocks: this.blocks,
+        };
+        // The file is replaced atomically so that an interrupted write cannot corrupt the index.
+        const temporaryFilePath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), {recursive: true});
+        await fs.promises.writeFile(temporaryFilePath, JSON.stringify(index));
+        await fs.promises.rename(temporaryFilePath, this.filePath);
+    }
+
+    /**
+     * Returns the indexed transfers of the block in the given direction or null if the block is not covered
+     * by the index, in which case they must be fetched from the repository.
+     * @param blockId - Block ID
+     * @param height - Height of the block
+     * @param direction - inbound or outbound
+     * @returns {Array|null}
+     */
+    getTransactionsFromBlock(blockId, height, direction) {
+        if (this.syncedHeight == null || height > this.syncedHeight) {
+            return null;
+        }
+        const recentBlockID = this.recentBlockIDs[height];
+        if (recentBlockID != null && recentBlockID !== blockId) {
+            return null;
+        }
+        const block = this.blocks[blockId];
+        return block ? block[direction] : [];
+    }
+
+    /**
+     * Syncs the index up to the chain tip; concurrent calls share the same sync.
+     */
+    async sync() {
+        if (!this.syncPromise) {
+            this.syncPromise = (async () => {
+                try {
+                    if (this.syncedHeight == null) {
+                        await this.load();
+                    }
+                    if (this.syncedHeight == null) {
+                        this.syncedHeight = this.fromHeight - 1;
+                    }
+                    await this.rollBackOrphanedBlocks();
+                    await this.syncToTip();
+                } finally {
+                    this.syncPromise = null;
+                }
+            })();
+        }
+        return this.syncPromise;
+    }
+
+    getRecentHeights() {
+        return Object.keys(this.recentBlockIDs).map(Number).sort((a, b) => a - b);
+    }
+
+    async rollBackOrphanedBlocks() {
+        const recentHeights = this.getRecentHeights();
+        if (!recentHeights.length) {
+            return;
+        }
+        const lowestHeight = recentHeights[0];
+        const highestHeight = recentHeights[recentHeights.length - 1];
+        const canonicalBlocks = await this.repository.getBlocksBetweenHeights(lowestHeight - 1, highestHeight, highestHeight - lowestHeight + 2);
+        const canonicalBlockIDs = {};
+        for (let block of canonicalBlocks) {
+            canonicalBlockIDs[block.height] = block.id;
+        }
+
+        let commonHeight = lowestHeight - 1;
+        for (let height of [...recentHeights].reverse()) {
+            if (canonicalBlockIDs[height] === this.recentBlockIDs[height]) {
+                commonHeight = height;
+                break;
+            }
+        }
+        if (commonHeight === highestHeight) {
+            return;
+        }
+        if (commonHeight < lowestHeight) {
+            this.logger.warn(`Transaction index fork is deeper than ${recentHeights.length} blocks, rolling back to height ${commonHeight}`);
+        }
+        this.rollBack(commonHeight);
+        await this.save();
+    }
+
+    rollBack(height) {
+        for (let blockId of Object.keys(this.blocks)) {
+            if (this.blocks[blockId].height > height) {
+                delete this.blocks[blockId];
+            }
+        }
+        for (let recentHeight of this.getRecentHeights()) {
+            if (recentHeight > height) {
+                delete this.recentBlockIDs[recentHeight];
+            }
+        }
+        this.syncedHeight = Math.min(this.syncedHeight, height);
+    }
+
+    async syncToTip() {
+        const lastBlock = await this.repository.getLastBlock();
+        if (!lastBlock) {
+            return;
+        }
+        let attempt = 0;
+        while (this.syncedHeight < lastBlock.height) {
+            if (attempt > 0) {
+                await wait(this.batchRetryDelay * 2 ** (attempt - 1));
+            }
+            attempt++;
+            const fromHeight = this.syncedHeight + 1;
+            const toHeight = Math.min(lastBlock.height, fromHeight + this.batchSize - 1);
+            const [inboundTransfers, crossChainTransfers, outboundTransactions] = await Promise.all([
+                this.repository.getInboundTransactionsBetweenHeights(this.walletAddress, fromHeight, toHeight, this.tokenID),
+                this.repository.getInboundCrossChainTransfersBetweenHeights(this.walletAddress, fromHeight, toHeight, this.tokenID),
+                this.repository.getOutboundTransactionsBetweenHeights(this.walletAddress, fromHeight, toHeight, this.tokenID),
+            ]);
+            const inboundTransactions = [...inboundTransfers, ...crossChainTransfers];
+
+            const recentFromHeight = Math.max(fromHeight, toHeight - this.maxRollbackDepth + 1);
+            const recentBlocks = await this.repository.getBlocksBetweenHeights(recentFromHeight - 1, toHeight, toHeight - recentFromHeight + 2);
+            let recentBlockIDs = {};
+            for (let block of recentBlocks) {
+                recentBlockIDs[block.height] = block.id;
+            }
+
+            // A fork which happened while the batch was fetched would leave transfers of orphaned blocks behind.
+            const hasOrphanedTransactions = [...inboundTransactions, ...outboundTransactions].some(({block}) =>
+                recentBlockIDs[block.height] != null && recentBlockIDs[block.height] !== block.id
+            );
+            if (hasOrphanedTransactions) {
+                // Service nodes which disagree about the chain can make every attempt fail; syncing resumes on the next chain change.
+                if (attempt >= this.maxBatchAttempts) {
+                    throw new Error(`Chain kept changing while syncing the transaction index between heights ${fromHeight} and ${toHeight}`);
+                }
+                this.logger.warn(`Chain changed while syncing the transaction index between heights ${fromHeight} and ${toHeight}, retrying`);
+                continue;
+            }
+            attempt = 0;
+
+            for (let [direction, transactions] of [[INBOUND, inboundTransactions], [OUTBOUND, outboundTransactions]]) {
+                for (let transaction of transactions) {
+                    this.addTransaction(direction, transaction);
+                }
+            }
+            this.recentBlockIDs = {...this.recentBlockIDs, ...recentBlockIDs};
+            for (let recentHeight of this.getRecentHeights()) {
+                if (recentHeight <= toHeight - this.maxRollbackDepth) {
+                    delete this.recentBlockIDs[recentHeight];
+                }
+            }
+            this.syncedHeight = toHeight;
+            await this.save();
+        }
+    }
+
+    addTransaction(direction, transaction) {
+        const {id: blockId, height} = transaction.block;
+        if (!this.blocks[blockId]) {
+            this.blocks[blockId] = {height, [INBOUND]: [], [OUTBOUND]: []};
+        }
+        const blockTransactions = this.blocks[blockId][direction];
+        if (!blockTransactions.some(({id}) => id === transaction.id)) {
+            blockTransactions.push(transaction);
+        }
+    }
+}
+
+module.exports = {
+    TransactionIndex,
+    INBOUND,
+    OUTBOUND,
+};
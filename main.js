@@ -1,62 +1,46 @@
-const adpater = require('./index')
-const LiskRepository = require('./lisk-service/repository')
-async function main() {
-    // const liskTestnetURL = 'https://testnet-service.lisk.com'
-    // const config = {baseURL: liskTestnetURL, fallbacks : [liskTestnetURL, liskTestnetURL]}
-    // const logger = console
-    // console.log(TAG_TRANSACTION)
-    // const liskRepo = new LiskRepository({});
-    // console.log(await liskRepo.getNetworkStatus())
-    // console.log(await liskRepo.getNetworkStats())
-    // console.log(await liskRepo.getFees())
-
-    const adapter = new adpater({config: {
-        env : 'test',
-    }})
-    // const info = await liskRepo.getNetworkStatus()
-    // console.log(info)
-    // console.log(await adapter.getMultisigWalletMembers({
-    //     params: {
-    //         walletAddress: "lsk5gjpsoqgchb8shk8hvwez6ddx3a4b8gga59rw4"
-    //     }
-    // }))
-    //
-    // console.log(await adapter.getMinMultisigRequiredSignatures({
-    //     params: {
-    //         walletAddress: "lsk5gjpsoqgchb8shk8hvwez6ddx3a4b8gga59rw4"
-    //     }
-    // }))
+const fs = require('fs');
+const path = require('path');
 
-    // const transactions = await adapter.getOutboundTransactions({params : {
-    //     limit: 2,
-    //     fromTimestamp: 0,
-    //     walletAddress: 'lskhszrdpk5yzngd885cvsvsuxcko7trsvdpn2moz'
-    //     }})
-    // console.log(transactions)
+const LiskV3DEXAdapter = require('./index');
+const DEXAdapterServer = require('./server');
 
-    // const transactionBytes = await adapter._getSignedTransactionBytes('22abf94935943a3e3cd7b5cd59f521b508c2e7b58e1585d34c129dd1cf7ec4ff')
-    // const transactionHex = transactionBytes.toString('hex')
-    // console.log(transactionHex)
+const DEFAULT_CONFIG_PATH = 'config.json';
 
-    const wsClient = await adapter.liskWsClient.createWsClient()
-    await adapter.subscribeToBlockChange(wsClient, (type, block) => {
-        console.log(`type ${type} : block ${block}`)
-    })
-    adapter.liskWsClient.onConnected = async (wsClient) => {
-        await adapter.subscribeToBlockChange(wsClient, (type, block) => {
-            console.log(`type ${type} : block ${block}`)
-        })
+/**
+ * Reads the config file whose path is given as the first argument or in the DEX_ADAPTER_CONFIG environment variable.
+ * The file contains the adapter config under "adapter" and the server config under "server" (refer to config.example.json).
+ */
+const loadConfig = () => {
+    const configPath = path.resolve(process.argv[2] || process.env.DEX_ADAPTER_CONFIG || DEFAULT_CONFIG_PATH);
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+        throw new Error(`Failed to load config file ${configPath} - ${err.message}`);
     }
-    adapter.liskWsClient.onDisconnected = (wsClient) => {
-        console.log("Disconnected")
-    }
-    await adapter.subscribeToBlockChange(wsClient, (type, block) => {
-        console.log(`type ${type} : block ${block}`)
-    })
-}
+};
+
+async function main() {
+    const {alias, adapter: adapterConfig = {}, server: serverConfig = {}} = loadConfig();
+
+    const adapter = new LiskV3DEXAdapter({alias, config: adapterConfig});
+    const server = new DEXAdapterServer({adapter, config: serverConfig});
+    await server.start();
+    console.log(`DEX adapter ${adapter.alias} is listening on ${server.url}`);
 
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    const shutDown = async () => {
+        try {
+            await server.stop();
+            process.exit(0);
+        } catch (err) {
+            console.error(`Failed to stop the DEX adapter server - ${err.message}`);
+            process.exit(1);
+        }
+    };
+    process.once('SIGINT', shutDown);
+    process.once('SIGTERM', shutDown);
 }
 
-(async () => await main())()
+main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,41 @@
+const {EventEmitter} = require('events');
+
+/**
+ * Minimal stand-in for the Lisk application channel which is used when the adapter runs outside of
+ * a Lisk application. Only the app actions which the adapter relies on are supported.
+ */
+class StandaloneChannel {
+    constructor() {
+        this.emitter = new EventEmitter();
+        this.appState = {};
+        this.actionHandlers = {
+            'app:updateModuleState': async (stateChange) => {
+                this.appState = {
+                    ...this.appState,
+                    ...stateChange,
+                };
+            },
+            'app:getApplicationState': async () => ({...this.appState}),
+        };
+    }
+
+    async publish(channelName, data, info) {
+        this.emitter.emit(channelName, {data, info});
+    }
+
+    async subscribe(channelName, handler) {
+        this.emitter.on(channelName, handler);
+    }
+
+    async invoke(procedureName, data) {
+        const handler = this.actionHandlers[procedureName];
+        if (!handler) {
+            throw new Error(`The channel ${procedureName} action is not supported by the standalone channel`);
+        }
+        return {
+            data: await handler(data),
+        };
+    }
+}
+
+module.exports = StandaloneChannel;
@@ -0,0 +1,86 @@
+const {
+    InvalidActionError,
+    multisigAccountDidNotExistError,
+    accountDidNotExistError,
+    accountWasNotMultisigError,
+    blockDidNotExistError,
+    transactionDidNotExistError,
+    transactionBroadcastError,
+    insufficientSignaturesError,
+    insufficientFeeError,
+    feeEstimationError,
+    transactionDryRunError,
+    transactionSigningError,
+} = require('../liskv3/errors');
+
+// Error codes defined by the JSON-RPC 2.0 specification.
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// Codes in the range reserved for implementation-defined server errors; one for each InvalidActionError name.
+const INVALID_ACTION = -32000;
+const invalidActionErrorCodes = {
+    [multisigAccountDidNotExistError]: -32001,
+    [accountDidNotExistError]: -32002,
+    [accountWasNotMultisigError]: -32003,
+    [blockDidNotExistError]: -32004,
+    [transactionDidNotExistError]: -32005,
+    [transactionBroadcastError]: -32006,
+    [insufficientSignaturesError]: -32007,
+    [insufficientFeeError]: -32008,
+    [feeEstimationError]: -32009,
+    [transactionDryRunError]: -32010,
+    [transactionSigningError]: -32011,
+};
+
+// Properties which some actions attach to their errors to give the caller more context.
+const ERROR_DETAIL_PROPERTIES = ['droppedSignerAddresses', 'dryRunResult'];
+
+class RPCError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.name = 'RPCError';
+        this.code = code;
+        this.data = data;
+    }
+}
+
+/**
+ * Converts an error thrown while handling a request into a JSON-RPC error object.
+ * @param err - Error thrown by an action handler or by the server itself
+ * @returns {{code: number, message: string, data: Object}}
+ */
+const toRPCError = (err) => {
+    if (err instanceof RPCError) {
+        return {code: err.code, message: err.message, data: err.data};
+    }
+    if (err instanceof InvalidActionError) {
+        let data = {name: err.name, type: err.type};
+        for (let property of ERROR_DETAIL_PROPERTIES) {
+            if (err[property] != null) {
+                data[property] = err[property];
+            }
+        }
+        return {
+            code: invalidActionErrorCodes[err.name] || INVALID_ACTION,
+            message: err.message,
+            data,
+        };
+    }
+    return {code: INTERNAL_ERROR, message: 'Internal error'};
+};
+
+module.exports = {
+    PARSE_ERROR,
+    INVALID_REQUEST,
+    METHOD_NOT_FOUND,
+    INVALID_PARAMS,
+    INTERNAL_ERROR,
+    INVALID_ACTION,
+    invalidActionErrorCodes,
+    RPCError,
+    toRPCError,
+};
@@ -0,0 +1,197 @@
+const http = require('http');
+const url = require('url');
+const WebSocket = require('ws');
+
+const StandaloneChannel = require('./channel');
+const {
+    PARSE_ERROR,
+    INVALID_REQUEST,
+    METHOD_NOT_FOUND,
+    INVALID_PARAMS,
+    INTERNAL_ERROR,
+    RPCError,
+    toRPCError,
+} = require('./errors');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 8010;
+const DEFAULT_RPC_PATH = '/rpc';
+const DEFAULT_WS_PATH = '/ws';
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+// Actions which take a passphrase or a private key as params; they are only exposed if exposeSecretActions is enabled.
+const SECRET_ACTIONS = ['signTransaction'];
+
+const JSON_RPC_VERSION = '2.0';
+
+const isPlainObject = (value) => value != null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Exposes the actions of a DEX adapter over JSON-RPC 2.0 on HTTP and pushes its events to WebSocket clients.
+ * Each action is exposed as a method of the same name and the JSON-RPC params are passed as the action params.
+ * Events are sent as JSON-RPC notifications whose method is the channel name of the event (e.g. alias:chainChanges).
+ * The server does not authenticate clients so actions which take secrets are not exposed unless explicitly enabled.
+ */
+class DEXAdapterServer {
+    constructor({adapter, config = {}, logger = console}) {
+        this.adapter = adapter;
+        this.logger = logger;
+        this.host = config.host || DEFAULT_HOST;
+        this.port = config.port == null ? DEFAULT_PORT : config.port;
+        this.rpcPath = config.rpcPath || DEFAULT_RPC_PATH;
+        this.wsPath = config.wsPath || DEFAULT_WS_PATH;
+        this.maxBodySize = config.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+        this.exposeSecretActions = !!config.exposeSecretActions;
+        this.channel = new StandaloneChannel();
+        this.httpServer = http.createServer((req, res) => this.handleHTTPRequest(req, res));
+        this.wsServer = new WebSocket.Server({server: this.httpServer, path: this.wsPath});
+        this.wsServer.on('connection', (socket) => this.handleWsConnection(socket));
+    }
+
+    get url() {
+        const {address, port} = this.httpServer.address();
+        return `http://${address}:${port}`;
+    }
+
+    async start() {
+        for (let eventName of this.adapter.events) {
+            const channelName = `${this.adapter.alias}:${eventName}`;
+            await this.channel.subscribe(channelName, ({data}) => this.broadcast(channelName, data));
+        }
+        await new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.port, this.host, () => {
+                this.httpServer.removeListener('error', reject);
+                resolve();
+            });
+        });
+        await this.adapter.load(this.channel);
+    }
+
+    async stop() {
+        await this.adapter.unload();
+        for (let socket of this.wsServer.clients) {
+            socket.terminate();
+        }
+        await new Promise((resolve) => this.wsServer.close(resolve));
+        await new Promise((resolve) => this.httpServer.close(resolve));
+    }
+
+    broadcast(method, params) {
+        const notification = JSON.stringify({jsonrpc: JSON_RPC_VERSION, method, params: params == null ? {} : params});
+        for (let socket of this.wsServer.clients) {
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.send(notification);
+            }
+        }
+    }
+
+    isExposedAction(actionName) {
+        return Object.prototype.hasOwnProperty.call(this.adapter.actions, actionName) &&
+            (this.exposeSecretActions || !SECRET_ACTIONS.includes(actionName));
+    }
+
+    /**
+     * Handles a single JSON-RPC request object; resolves to null for notifications which do not get a response.
+     */
+    async handleRPCRequest(request) {
+        const id = isPlainObject(request) && request.id !== undefined ? request.id : null;
+        const isNotification = isPlainObject(request) && request.id === undefined;
+        try {
+            if (!isPlainObject(request) || request.jsonrpc !== JSON_RPC_VERSION || typeof request.method !== 'string') {
+                throw new RPCError(INVALID_REQUEST, 'Invalid request');
+            }
+            if (!this.isExposedAction(request.method)) {
+                throw new RPCError(METHOD_NOT_FOUND, `Method ${request.method} not found`);
+            }
+            if (request.params !== undefined && !isPlainObject(request.params)) {
+                throw new RPCError(INVALID_PARAMS, 'Params must be an object');
+            }
+            const result = await this.adapter.actions[request.method].handler({params: request.params || {}});
+            return isNotification ? null : {jsonrpc: JSON_RPC_VERSION, id, result: result === undefined ? null : result};
+        } catch (err) {
+            const error = toRPCError(err);
+            if (error.code === INTERNAL_ERROR) {
+                this.logger.error(`Failed to handle RPC method ${request.method} - ${err.message}`);
+            }
+            return isNotification ? null : {jsonrpc: JSON_RPC_VERSION, id, error};
+        }
+    }
+
+    /**
+     * Handles a raw JSON-RPC message which may contain a single request or a batch of requests.
+     * @returns {Promise<Object|Array|null>} - Response(s) or null if there is nothing to respond with
+     */
+    async handleRPCMessage(rawMessage) {
+        let message;
+        try {
+            message = JSON.parse(rawMessage);
+        } catch (err) {
+            return {jsonrpc: JSON_RPC_VERSION, id: null, error: {code: PARSE_ERROR, message: 'Parse error'}};
+        }
+        if (!Array.isArray(message)) {
+            return this.handleRPCRequest(message);
+        }
+        if (!message.length) {
+            return {jsonrpc: JSON_RPC_VERSION, id: null, error: {code: INVALID_REQUEST, message: 'Invalid request'}};
+        }
+        const responses = (await Promise.all(message.map((request) => this.handleRPCRequest(request))))
+            .filter((response) => response);
+        return responses.length ? responses : null;
+    }
+
+    handleHTTPRequest(req, res) {
+        const {pathname} = url.parse(req.url);
+        if (pathname !== this.rpcPath) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        if (req.method !== 'POST') {
+            res.writeHead(405, {Allow: 'POST'});
+            res.end();
+            return;
+        }
+        let rawBody = '';
+        let isTooLarge = false;
+        req.on('data', (chunk) => {
+            if (isTooLarge) {
+                return;
+            }
+            rawBody += chunk;
+            if (rawBody.length > this.maxBodySize) {
+                isTooLarge = true;
+                rawBody = '';
+            }
+        });
+        req.on('end', async () => {
+            if (isTooLarge) {
+                res.writeHead(413);
+                res.end();
+                return;
+            }
+            const response = await this.handleRPCMessage(rawBody);
+            if (!response) {
+                res.writeHead(204);
+                res.end();
+                return;
+            }
+            res.writeHead(200, {'Content-Type': 'application/json'});
+            res.end(JSON.stringify(response));
+        });
+    }
+
+    handleWsConnection(socket) {
+        socket.on('message', async (rawMessage) => {
+            const response = await this.handleRPCMessage(rawMessage.toString());
+            if (response && socket.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify(response));
+            }
+        });
+        socket.on('error', (err) => {
+            this.logger.warn(`WebSocket client error - ${err.message}`);
+        });
+    }
+}
+
+module.exports = DEXAdapterServer;
@@ -1,61 +1,49 @@
 const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
 
 const LiskV3DEXAdapterModule = require('../index');
-const Channel = require('./utils/channel');
-const AppModuleMock = require('./utils/app');
+const LiskServiceMock = require('./utils/lisk-service');
+const {createTestAdapter, createTestChannel} = require('./utils/adapter');
+const LiskServiceRepository = require('../lisk-service/repository');
+const liskServiceFixtures = require('./fixtures/lisk-service.json');
 const {wait, computeDEXTransactionId} = require('../common/utils');
+const {TAG_TRANSACTION} = require('../common/constants');
 
 const {
   cryptography: liskCryptography,
   transactions: liskTransactions
 } = require('@liskhq/lisk-client');
 
+const {tokenTransferSchema, tokenTransferCrossChainSchema} = require('../liskv3/schemas');
+const {createMultisigSnapshot, createSignaturePacket, verifySignaturePackets} = require('../liskv3/multisig');
+
 const toBuffer = (data) => Buffer.from(data, 'hex');
 
 // This test suite can be adapted to check whether or not a custom chain module is compatible with Lisk DEX.
-// All the boilerplate can be modified except the 'it' blocks where the assertions are made.
+// It runs against a local Lisk Service mock which serves the synthetic chain of fixtures/lisk-service.json, so the
+// addresses and values which the 'it' blocks expect are those of the fixtures and must be adapted along with them.
 // If a module passes all the test case cases in this file, then it is compatible with Lisk DEX.
 
-const tokenTransferSchema = {
-  $id: '/lisk/transferParams',
-  title: 'Transfer transaction params',
-  type: 'object',
-  required: ['tokenID', 'amount', 'recipientAddress', 'data'],
-  properties: {
-    tokenID: {
-      dataType: 'bytes',
-      fieldNumber: 1,
-      minLength: 8,
-      maxLength: 8,
-    },
-    amount: {
-      dataType: 'uint64',
-      fieldNumber: 2,
-    },
-    recipientAddress: {
-      dataType: 'bytes',
-      fieldNumber: 3,
-      format: 'lisk32',
-    },
-    data: {
-      dataType: 'string',
-      fieldNumber: 4,
-      minLength: 0,
-      maxLength: 64,
-    },
-  },
-};
-
 describe('DEX API tests', async () => {
     let adapterModule;
     let bootstrapEventTriggered;
     let chainChangeEvents = [];
+    let multisigMembersChangedEvents = [];
+    let chainRollbackEvents = [];
+    let liskServiceMock;
 
     before(async () => {
+        liskServiceMock = new LiskServiceMock(liskServiceFixtures);
+        await liskServiceMock.start();
+
         adapterModule = new LiskV3DEXAdapterModule({
             config: {
-                dexWalletAddress: 'lskdx59zzxpdrpnqjhjt43hq3225fc9umoq7u7e4g',
-                serviceURL: 'https://service.lisk.com'
+                dexWalletAddress: 'lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2',
+                serviceURL: liskServiceMock.url,
+                retryBaseDelay: 10,
             },
             logger: {
                 info: () => {
@@ -69,21 +57,137 @@ describe('DEX API tests', async () => {
             },
         });
 
-        this.channel = new Channel({
-            modules: {
-                app: new AppModuleMock(),
-            },
-        });
+        this.channel = createTestChannel();
 
         this.channel.subscribe(`${adapterModule.alias}:${adapterModule.MODULE_BOOTSTRAP_EVENT}`, () => {
             bootstrapEventTriggered = true;
         });
 
+        this.channel.subscribe(`${adapterModule.alias}:${adapterModule.MODULE_CHAIN_CHANGES_EVENT}`, (event) => {
+            chainChangeEvents.push(event);
+        });
+
+        this.channel.subscribe(`${adapterModule.alias}:${adapterModule.MODULE_MULTISIG_MEMBERS_CHANGED_EVENT}`, (event) => {
+            multisigMembersChangedEvents.push(event);
+        });
+
+        this.channel.subscribe(`${adapterModule.alias}:${adapterModule.MODULE_CHAIN_ROLLBACK_EVENT}`, (event) => {
+            chainRollbackEvents.push(event);
+        });
+
         await adapterModule.load(this.channel);
     });
 
     after(async () => {
         await adapterModule.unload();
+        await liskServiceMock.stop();
+    });
+
+    describe('config validation', () => {
+
+        let createAdapter = (config) => new LiskV3DEXAdapterModule({
+            config,
+            logger: {
+                warn: () => {
+                },
+            },
+        });
+
+        let getConfigError = (config) => {
+            try {
+                createAdapter(config);
+            } catch (error) {
+                return error;
+            }
+            return null;
+        };
+
+        it('should accept a valid config', () => {
+            assert.equal(getConfigError({
+                dexWalletAddress: 'lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2',
+                serviceURLs: ['https://service.lisk.com'],
+                ackTimeout: 10000,
+            }), null);
+        });
+
+        it('should throw a ConfigValidationError which lists every problem at once', () => {
+            let error = getConfigError({
+                dexWalletAddress: 'lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2',
+                serviceURL: 'service.lisk.com',
+                ackTimeout: -1,
+                backend: 'liskCloud',
+            });
+            assert.notEqual(error, null);
+            assert.equal(error.name, 'ConfigValidationError');
+            assert.deepEqual(error.errors.sort(), [
+                'config.ackTimeout must be >= 0',
+                'config.backend must be one of liskService, liskCore',
+                'config.serviceURL must be an http:// or https:// URL',
+            ]);
+            for (let message of error.errors) {
+                assert(error.message.includes(message));
+            }
+        });
+
+        it('should reject a DEX wallet address with an invalid checksum', () => {
+            let error = getConfigError({
+                dexWalletAddress: 'lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2',
+                dexWalletAddresses: ['lskrhqvvvsh9st2e9z7rk9xoecwwqso395fg5pfna'],
+            });
+            assert.notEqual(error, null);
+            assert.equal(error.errors.length, 1);
+            assert(error.errors[0].startsWith('config.dexWalletAddresses[0] must be a valid lsk address'));
+        });
+
+        it('should reject DEX wallet addresses which do not match the chainSymbol', () => {
+            let error = getConfigError({
+                dexWalletAddress: 'lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2',
+                chainSymbol: 'ldp',
+            });
+            assert.notEqual(error, null);
+            assert.equal(error.errors.length, 1);
+            assert(error.errors[0].startsWith('config.dexWalletAddress must be a valid ldp address'));
+        });
+
+        it('should require a DEX wallet address', () => {
+            let error = getConfigError({});
+            assert.notEqual(error, null);
+            assert.deepEqual(error.errors, ['config.dexWalletAddress must be provided']);
+        });
+
+    });
+
+    describe('accepted token', () => {
+
+        let createAdapter = (config) => createTestAdapter({
+            dexWalletAddress: 'lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2',
+            ...config,
+        });
+
+        it('should default to the native token of the mainchain of the configured chain', () => {
+            assert.equal(createAdapter({chainID: '01000000'}).tokenID, '0100000000000000');
+            assert.equal(createAdapter({chainID: '01000000', tokenID: '0100000000000001'}).tokenID, '0100000000000001');
+        });
+
+        it('should normalize a chain ID and a token ID which are configured in uppercase hex', () => {
+            let uppercaseAdapter = createAdapter({chainID: '0A000000', tokenID: '0A000000000000FF'});
+            assert.equal(uppercaseAdapter.chainID, '0a000000');
+            assert.equal(uppercaseAdapter.tokenID, '0a000000000000ff');
+            assert.equal(createAdapter({chainID: '0A000000'}).tokenID, '0a00000000000000');
+        });
+
+        it('should default to the native token of the mainchain of the network if the chain ID is not configured', async () => {
+            let testnetAdapterModule = createAdapter({serviceURL: liskServiceMock.url});
+            liskServiceMock.chain.chainID = '01000000';
+            try {
+                await testnetAdapterModule.load(createTestChannel());
+            } finally {
+                liskServiceMock.chain.chainID = liskServiceFixtures.chain.chainID;
+                await testnetAdapterModule.unload();
+            }
+            assert.equal(testnetAdapterModule.tokenID, '0100000000000000');
+        });
+
     });
 
     describe('module state', () => {
@@ -102,6 +206,9 @@ describe('DEX API tests', async () => {
         it('should expose an events property', () => {
             let events = adapterModule.events;
             assert(events.includes('bootstrap'));
+            assert(events.includes('chainChanges'));
+            assert(events.includes('multisigMembersChanged'));
+            assert(events.includes('chainRollback'));
         });
 
     });
@@ -110,7 +217,7 @@ describe('DEX API tests', async () => {
 
         describe('getMultisigWalletMembers action', async () => {
 
-            const multiSigWalletAddress = 'lskdx59zzxpdrpnqjhjt43hq3225fc9umoq7u7e4g';
+            const multiSigWalletAddress = 'lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2';
 
             it('should return an array of member addresses', async () => {
                 let walletMembers = await adapterModule.actions.getMultisigWalletMembers.handler({
@@ -120,14 +227,14 @@ describe('DEX API tests', async () => {
                 });
 
                 const memberAddessList = [
-                  'lsk7fzrxa3xe93cccvzaxkan3juuy3n8cg4xnaqrk',
-                  'lskcd3auuxumqomc3kx84o2dufsbxsnbd5xqzboxr',
-                  'lskeyk3pxgu8u69kzf4ft83xdpdkx2cwpp77e7exp',
-                  'lskfb4pkbu36sv6dyogjpbq6mekn3tutpg6odefp9',
-                  'lskgjgwueod5y4dcj6uoqynwyfwxx434do72v72za',
-                  'lsktkapj8sefwa4dc5fu9do2gtcj6d352h4vkt2bb',
-                  'lskwgu9u48tro29jp6omyom8cddtwdwz2pfrbujx4',
-                  'lskygvzo6r4s6f3h3sq8jo5asrdbc7n5mes92fatt'
+                  'lsk5cu9ar4dypckd4c6v4r4jp7czgav8npujbxspa',
+                  'lsk6wjuff4bk3fxxzev3pf6a48dw8ad66u4fk3dss',
+                  'lsk7cuda553onjj3t56edjss3zmgrk8nna2ttebmc',
+                  'lsknseaawge25e4vwy8hhfc3pbavuuk649cwz3zoh',
+                  'lskr6e55k5vszbvyjdqnoqtb8w83sthk2fgtkfnzk',
+                  'lskrshgh4apqxg7jmbckfvqaqf888qdajd4ka3jx2',
+                  'lsksve9fgh7uuxassne7a6h6set3so5jng4ga4e99',
+                  'lskwqrxtunydfn3pk8bfp268j4hp27oxp72rx7a68'
                 ];
 
                 // Must be an array of wallet address strings.
@@ -154,7 +261,7 @@ describe('DEX API tests', async () => {
 
         describe('getMinMultisigRequiredSignatures action', async () => {
 
-            const multiSigWalletAddress = 'lskdx59zzxpdrpnqjhjt43hq3225fc9umoq7u7e4g';
+            const multiSigWalletAddress = 'lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2';
 
             it('should return the number of required signatures', async () => {
                 let requiredSignatureCount = await adapterModule.actions.getMinMultisigRequiredSignatures.handler({
@@ -199,9 +306,82 @@ describe('DEX API tests', async () => {
 
         });
 
+        describe('getAccountBalance action', async () => {
+
+            const walletAddress = 'lsk5eyah7pnq92kgscrnd8mn5kputpn74p5qfvdsm';
+
+            it('should return the balance of the accepted token by default', async () => {
+                let balance = await adapterModule.actions.getAccountBalance.handler({
+                    params: {
+                        walletAddress,
+                    },
+                });
+                assert.equal(balance.tokenID, '0000000000000000');
+                assert.equal(balance.availableBalance, '4200000000');
+                assert(Array.isArray(balance.lockedBalances));
+            });
+
+            it('should return the balance of the specified tokenID', async () => {
+                let balance = await adapterModule.actions.getAccountBalance.handler({
+                    params: {
+                        walletAddress,
+                        tokenID: '0400000000000000',
+                    },
+                });
+                assert.equal(balance.tokenID, '0400000000000000');
+                assert.equal(balance.availableBalance, '500000000');
+            });
+
+            it('should throw an AccountDidNotExistError if the wallet address does not exist', async () => {
+                let caughtError = null;
+                try {
+                    await adapterModule.actions.getAccountBalance.handler({
+                        params: {
+                            walletAddress: 'ldpos6312b77c6ca4233141835eb37f8f33a45f18d50f',
+                        },
+                    });
+                } catch (error) {
+                    caughtError = error;
+                }
+                assert.notEqual(caughtError, null);
+                assert.equal(caughtError.type, 'InvalidActionError');
+                assert.equal(caughtError.name, 'AccountDidNotExistError');
+            });
+
+        });
+
+        describe('getAccountNonce action', async () => {
+
+            it('should return the current nonce of the account as a string', async () => {
+                let nonce = await adapterModule.actions.getAccountNonce.handler({
+                    params: {
+                        walletAddress: 'lsk5eyah7pnq92kgscrnd8mn5kputpn74p5qfvdsm',
+                    },
+                });
+                assert.equal(nonce, '5');
+            });
+
+            it('should throw an AccountDidNotExistError if the wallet address does not exist', async () => {
+                let caughtError = null;
+                try {
+                    await adapterModule.actions.getAccountNonce.handler({
+                        params: {
+                            walletAddress: 'ldpos6312b77c6ca4233141835eb37f8f33a45f18d50f',
+                        },
+                    });
+                } catch (error) {
+                    caughtError = error;
+                }
+                assert.notEqual(caughtError, null);
+                assert.equal(caughtError.type, 'InvalidActionError');
+                assert.equal(caughtError.name, 'AccountDidNotExistError');
+            });
+
+        });
+
         describe('getOutboundTransactions action', async () => {
 
-            const senderWalletAddress = 'lskrhqvvvsh9st2e9z7rk9xoecwwqso395fg5pfnb';
+            const senderWalletAddress = 'lsk5eyah7pnq92kgscrnd8mn5kputpn74p5qfvdsm';
 
             it('should return an array of transactions sent from the specified walletAddress', async () => {
                 let transactions = await adapterModule.actions.getOutboundTransactions.handler({
@@ -227,6 +407,7 @@ describe('DEX API tests', async () => {
                     assert.equal(typeof txn.amount, 'string');
                     assert.equal(Number.isNaN(Number(txn.amount)), false);
                     assert.equal(Number.isInteger(txn.timestamp), true);
+                    assert.equal(txn.tokenID, '0000000000000000');
                 }
             });
 
@@ -281,6 +462,36 @@ describe('DEX API tests', async () => {
                 assert.equal(transactions[0].message, '');
             });
 
+            it('should support limits which exceed the page size of the underlying service', async () => {
+                let transactions = await adapterModule.actions.getOutboundTransactions.handler({
+                    params: {
+                        walletAddress: senderWalletAddress,
+                        fromTimestamp: 0,
+                        limit: 250,
+                    },
+                });
+                assert.equal(Array.isArray(transactions), true);
+                assert.equal(transactions.length, 3);
+                assert.equal(transactions[0].timestamp, 1702420100);
+                assert.equal(transactions[2].timestamp, 1702506060);
+            });
+
+            it('should request a single page of transactions if no limit is specified', async () => {
+                let requestCountBefore = liskServiceMock.receivedRequests.length;
+                let transactions = await adapterModule.actions.getOutboundTransactions.handler({
+                    params: {
+                        walletAddress: senderWalletAddress,
+                        fromTimestamp: 0,
+                    },
+                });
+                let transactionRequests = liskServiceMock.receivedRequests.slice(requestCountBefore)
+                    .filter(({pathname}) => pathname === '/api/v3/transactions');
+
+                assert.equal(transactions.length, 3);
+                assert.equal(transactionRequests.length, 1);
+                assert.equal(Number(transactionRequests[0].query.limit), 100);
+            });
+
             it('should return an empty array if no transactions can be matched', async () => {
                 let transactions = await adapterModule.actions.getOutboundTransactions.handler({
                     params: {
@@ -321,6 +532,31 @@ describe('DEX API tests', async () => {
                 assert.equal(transactions[0].message, '');
             });
 
+            it('should return tokens which were credited by a cross-chain transfer along with the sending chain ID', async () => {
+                let recipientAddress = 'lskdfgve6v7h7x3mn84c39m9esmjabtj5yv9j9hzk';
+                let block = await adapterModule.actions.getBlockAtHeight.handler({
+                    params: {
+                        height: 23476960,
+                    },
+                });
+                let transactions = await adapterModule.actions.getInboundTransactionsFromBlock.handler({
+                    params: {
+                        walletAddress: recipientAddress,
+                        blockId: block.id,
+                    },
+                });
+                // Cross-chain transfers of other tokens and those which were bounced are not credited.
+                assert.equal(transactions.length, 1);
+                let txn = transactions[0];
+                assert.equal(txn.sendingChainID, '04000001');
+                assert.equal(txn.senderAddress, 'lskhoeyvtvoczuzgnompgeynoar2fyoqdq9hh2zjm');
+                assert.equal(txn.recipientAddress, recipientAddress);
+                assert.equal(txn.amount, '300000000');
+                assert.equal(txn.message, 'sidechain deposit');
+                assert.equal(txn.timestamp, block.timestamp);
+                assert.notEqual(txn.id, computeDEXTransactionId(txn.senderAddress, txn.nonce));
+            });
+
             it('should return an empty array if no transactions match the specified blockId', async () => {
                 let recipientAddress = 'lskdfgve6v7h7x3mn84c39m9esmjabtj5yv9j9hzk';
                 let transactions = await adapterModule.actions.getInboundTransactionsFromBlock.handler({
@@ -351,7 +587,7 @@ describe('DEX API tests', async () => {
             it('should return an array of transactions sent from the specified walletAddress', async () => {
                 let transactions = await adapterModule.actions.getOutboundTransactionsFromBlock.handler({
                     params: {
-                        walletAddress: 'lskrhqvvvsh9st2e9z7rk9xoecwwqso395fg5pfnb',
+                        walletAddress: 'lsk5eyah7pnq92kgscrnd8mn5kputpn74p5qfvdsm',
                         blockId: '3dd17c521eed2676271ec28b83795abe815243aea281c534e8681b57e62ea9f1',
                     },
                 });
@@ -368,12 +604,12 @@ describe('DEX API tests', async () => {
                     assert.equal(typeof txn.recipientAddress, 'string');
                 }
 
-                assert.equal(transactions[0].senderAddress, 'lskrhqvvvsh9st2e9z7rk9xoecwwqso395fg5pfnb');
+                assert.equal(transactions[0].senderAddress, 'lsk5eyah7pnq92kgscrnd8mn5kputpn74p5qfvdsm');
                 assert.equal(transactions[0].message, '');
             });
 
             it('should return transactions with a valid signatures property if transaction is from a multisig wallet', async () => {
-                const multiSigWalletAddress = 'lskrhqvvvsh9st2e9z7rk9xoecwwqso395fg5pfnb';
+                const multiSigWalletAddress = 'lsk5eyah7pnq92kgscrnd8mn5kputpn74p5qfvdsm';
                 let transactions = await adapterModule.actions.getOutboundTransactionsFromBlock.handler({
                     params: {
                         walletAddress: multiSigWalletAddress,
@@ -401,7 +637,7 @@ describe('DEX API tests', async () => {
             it('should return an empty array if no transactions match the specified blockId', async () => {
                 let transactions = await adapterModule.actions.getOutboundTransactionsFromBlock.handler({
                     params: {
-                        walletAddress: 'lskrhqvvvsh9st2e9z7rk9xoecwwqso395fg5pfnb',
+                        walletAddress: 'lsk5eyah7pnq92kgscrnd8mn5kputpn74p5qfvdsm',
                         blockId: '963fa8fc2ba0c9bd24f4fc0b3470f0abdca6341ef5469052f083597f87f3e87b',
                     },
                 });
@@ -412,7 +648,7 @@ describe('DEX API tests', async () => {
             it('should return an empty array if no transactions match the specified walletAddress', async () => {
                 let transactions = await adapterModule.actions.getOutboundTransactionsFromBlock.handler({
                     params: {
-                        walletAddress: 'lskhoeyvtvoczuzgnompgeynoar2fyoqdq9hh2zjm',
+                        walletAddress: 'lskbvykmaexgx6xqarus2ndy3t639wrcbo6tpcewg',
                         blockId: '3dd17c521eed2676271ec28b83795abe815243aea281c534e8681b57e62ea9f1',
                     },
                 });
@@ -430,6 +666,17 @@ describe('DEX API tests', async () => {
 
         });
 
+        describe('getFinalizedBlockHeight action', async () => {
+
+            it('should return the finalized height as an integer number which is not above the max height', async () => {
+                let finalizedHeight = await adapterModule.actions.getFinalizedBlockHeight.handler();
+                let maxHeight = await adapterModule.actions.getMaxBlockHeight.handler();
+                assert(Number.isInteger(finalizedHeight));
+                assert(finalizedHeight <= maxHeight);
+            });
+
+        });
+
         describe('getBlocksBetweenHeights action', async () => {
 
             it('should return blocks whose height is greater than fromHeight and less than or equal to toHeight', async () => {
@@ -460,6 +707,23 @@ describe('DEX API tests', async () => {
                 assert.equal(blocks.length, 0);
             });
 
+            it('should return blocks in ascending order across multiple pages if the limit exceeds the page size', async () => {
+                let blocks = await adapterModule.actions.getBlocksBetweenHeights.handler({
+                    params: {
+                        fromHeight: 23476700,
+                        toHeight: 23476950,
+                        limit: 300,
+                    },
+                });
+                assert.equal(Array.isArray(blocks), true);
+                assert.equal(blocks.length, 250);
+                assert.equal(blocks[0].height, 23476701);
+                assert.equal(blocks[blocks.length - 1].height, 23476950);
+                for (let i = 1; i < blocks.length; i++) {
+                    assert.equal(blocks[i].height, blocks[i - 1].height + 1);
+                }
+            });
+
             it('should return an empty array if no blocks are matched', async () => {
                 let blocks = await adapterModule.actions.getBlocksBetweenHeights.handler({
                     params: {
@@ -504,38 +768,110 @@ describe('DEX API tests', async () => {
 
         });
 
-        describe.skip('postTransaction action', async () => {
+        describe('getBlockById action', async () => {
 
-            it('should accept a prepared (signed) transaction object as argument', async () => {
-                // The format of the prepared (signed) transaction will be different depending on the
-                // implementation of the chain module and the specified ChainCrypto adapter.
-                // Since this is used for posting multisig transactions, the transaction will have
-                // a 'signatures' property containing an array of signature objects created by the DEX.
-                // The format of each signature object is flexible depending on the output of the ChainCrypto
-                // adapter but it will have a 'signerAddress' property.
-                // The chain module can handle the transaction and signature objects however it wants.
+            it('should expose a getBlockById action', async () => {
+                let block = await adapterModule.actions.getBlockById.handler({
+                    params: {
+                        blockId: '3dd17c521eed2676271ec28b83795abe815243aea281c534e8681b57e62ea9f1',
+                    },
+                });
+                assert.equal(block.id, '3dd17c521eed2676271ec28b83795abe815243aea281c534e8681b57e62ea9f1');
+                assert.equal(block.height, 23476951);
+                assert.equal(typeof block.previousBlockID, 'string');
+            });
+
+            it('should throw a BlockDidNotExistError if no block could be matched', async () => {
+                let caughtError = null;
+                try {
+                    await adapterModule.actions.getBlockById.handler({
+                        params: {
+                            blockId: '0000000000000000000000000000000000000000000000000000000000000000',
+                        },
+                    });
+                } catch (error) {
+                    caughtError = error;
+                }
+                assert.notEqual(caughtError, null);
+                assert.equal(caughtError.type, 'InvalidActionError');
+                assert.equal(caughtError.name, 'BlockDidNotExistError');
+            });
+
+        });
 
-                let chainId = '00000000';
-                let chainIdBytes = toBuffer(chainId);
+        describe('block actions with finalizedBlocksOnly enabled', async () => {
 
-                let recipientAddress = ''; // TODO
+            let finalizedAdapterModule;
+            let finalizedHeight;
 
-                let sharedPassphrase = ''; // TODO
+            before(async () => {
+                finalizedAdapterModule = createTestAdapter({
+                    dexWalletAddress: 'lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2',
+                    serviceURLs: adapterModule.repository.serviceNodes.map(({url}) => url),
+                    finalizedBlocksOnly: true,
+                });
+                finalizedHeight = await adapterModule.actions.getFinalizedBlockHeight.handler();
+            });
 
+            it('should cap getMaxBlockHeight to the finalized height', async () => {
+                let height = await finalizedAdapterModule.actions.getMaxBlockHeight.handler();
+                assert.equal(height, finalizedHeight);
+            });
 
-                let passphrase = ''; // TODO
-                let multisigWalletKeys = {
-                  mandatoryKeys: [],
-                  optionalKeys: []
-                };
-                let nonceString = '1';// TODO
+            it('should not return blocks above the finalized height from getBlocksBetweenHeights', async () => {
+                let blocks = await finalizedAdapterModule.actions.getBlocksBetweenHeights.handler({
+                    params: {
+                        fromHeight: finalizedHeight - 5,
+                        toHeight: finalizedHeight + 5,
+                        limit: 100,
+                    },
+                });
+                assert.equal(blocks.length, 5);
+                assert.equal(blocks[blocks.length - 1].height, finalizedHeight);
+            });
+
+            it('should throw a BlockDidNotExistError from getBlockAtHeight if the block is not finalized', async () => {
+                let caughtError = null;
+                try {
+                    await finalizedAdapterModule.actions.getBlockAtHeight.handler({
+                        params: {
+                            height: finalizedHeight + 1,
+                        },
+                    });
+                } catch (error) {
+                    caughtError = error;
+                }
+                assert.notEqual(caughtError, null);
+                assert.equal(caughtError.type, 'InvalidActionError');
+                assert.equal(caughtError.name, 'BlockDidNotExistError');
+            });
+
+        });
+
+        describe('postTransaction action', async () => {
+
+            let chainId = liskServiceFixtures.chain.chainID;
+            let chainIdBytes = toBuffer(chainId);
+
+            let recipientAddress = 'lskdfgve6v7h7x3mn84c39m9esmjabtj5yv9j9hzk';
+
+            let members = liskServiceFixtures.members.map(({passphrase}) => liskCryptography.legacy.getPrivateAndPublicKeyFromPassphrase(passphrase));
+            let multisigWalletKeys = {
+              mandatoryKeys: [],
+              optionalKeys: members.map(({publicKey}) => publicKey)
+            };
 
+            let {publicKey: senderPublicKey} = liskCryptography.legacy.getPrivateAndPublicKeyFromPassphrase(liskServiceFixtures.dexWallet.passphrase);
+            let senderAddress = liskServiceFixtures.dexWallet.address;
+            let {publicKey: firstSignerPublicKey, privateKey: firstSignerPrivateKey} = members[0];
+
+            let createPreparedTransaction = (nonceString, signers, receivingChainID) => {
                 const txnData = {
                   module: 'token',
-                  command: 'transfer',
+                  command: receivingChainID ? 'transferCrossChain' : 'transfer',
                   nonce: BigInt(nonceString),
                   fee: BigInt('700000'),
-                  senderPublicKey: multisigWalletKeys.optionalKeys[0],// TODO
+                  senderPublicKey,
                   signatures: [],
                   params: {
                     tokenID: toBuffer('0000000000000000'),
@@ -544,15 +880,14 @@ describe('DEX API tests', async () => {
                     data: 'testing'
                   }
                 };
+                if (receivingChainID) {
+                  txnData.params.receivingChainID = toBuffer(receivingChainID);
+                  txnData.params.messageFee = BigInt('10000');
+                  txnData.params.messageFeeTokenID = toBuffer('0000000000000000');
+                }
+                let paramsSchema = receivingChainID ? tokenTransferCrossChainSchema : tokenTransferSchema;
 
-                let {publicKey: sharedPublicKey, privateKey: sharedPrivateKey} = liskCryptography.legacy.getPrivateAndPublicKeyFromPassphrase(sharedPassphrase);
-                let {publicKey: signerPublicKey, privateKey: signerPrivateKey} = liskCryptography.legacy.getPrivateAndPublicKeyFromPassphrase(passphrase);
-
-                let signedTxn = liskTransactions.signMultiSignatureTransaction(txnData, chainIdBytes, sharedPrivateKey, multisigWalletKeys, tokenTransferSchema);
-                liskTransactions.signMultiSignatureTransaction(signedTxn, chainIdBytes, signerPrivateKey, multisigWalletKeys, tokenTransferSchema);
-
-                let senderAddress = liskCryptography.address.getLisk32AddressFromPublicKey(sharedPublicKey);
-                let signerAddress = liskCryptography.address.getLisk32AddressFromPublicKey(signerPublicKey);
+                let signedTxn = liskTransactions.signMultiSignatureTransaction(txnData, chainIdBytes, firstSignerPrivateKey, multisigWalletKeys, paramsSchema);
 
                 let preparedTxn = {
                   id: computeDEXTransactionId(senderAddress, nonceString),
@@ -564,8 +899,8 @@ describe('DEX API tests', async () => {
                   recipientAddress: liskCryptography.address.getLisk32AddressFromAddress(signedTxn.params.recipientAddress),
                   signatures: [
                     {
-                      signerAddress: senderAddress,
-                      publicKey: sharedPublicKey.toString('hex'),
+                      signerAddress: liskCryptography.address.getLisk32AddressFromPublicKey(firstSignerPublicKey),
+                      publicKey: firstSignerPublicKey.toString('hex'),
                       signature: signedTxn.signatures[0].toString('hex')
                     }
                   ],
@@ -575,32 +910,1370 @@ describe('DEX API tests', async () => {
                   nonce: nonceString,
                   senderPublicKey: signedTxn.senderPublicKey.toString('hex')
                 };
+                if (receivingChainID) {
+                  preparedTxn.receivingChainID = receivingChainID;
+                  preparedTxn.messageFee = '10000';
+                }
 
-                // The signature needs to be an object with a signerAddress property, the other
-                // properties are flexible and depend on the requirements of the underlying blockchain.
-                let multisigTxnSignature = {
-                  signerAddress,
-                  publicKey: signerPublicKey.toString('hex'),
-                  signature: signedTxn.signatures[1].toString('hex')
-                };
+                for (let {publicKey: signerPublicKey, privateKey: signerPrivateKey} of signers) {
+                    liskTransactions.signMultiSignatureTransaction(signedTxn, chainIdBytes, signerPrivateKey, multisigWalletKeys, paramsSchema);
+                    let signerIndex = multisigWalletKeys.optionalKeys.findIndex((publicKey) => publicKey.equals(signerPublicKey));
 
-                preparedTxn.signatures.push(multisigTxnSignature);
+                    // The signature needs to be an object with a signerAddress property, the other
+                    // properties are flexible and depend on the requirements of the underlying blockchain.
+                    let multisigTxnSignature = {
+                      signerAddress: liskCryptography.address.getLisk32AddressFromPublicKey(signerPublicKey),
+                      publicKey: signerPublicKey.toString('hex'),
+                      signature: signedTxn.signatures[signerIndex].toString('hex')
+                    };
 
-                await adapterModule.actions.postTransaction.handler({
+                    preparedTxn.signatures.push(multisigTxnSignature);
+                }
+
+                return preparedTxn;
+            };
+
+            it('should accept a prepared (signed) transaction object as argument', async () => {
+                // The format of the prepared (signed) transaction will be different depending on the
+                // implementation of the chain module and the specified ChainCrypto adapter.
+                // Since this is used for posting multisig transactions, the transaction will have
+                // a 'signatures' property containing an array of signature objects created by the DEX.
+                // The format of each signature object is flexible depending on the output of the ChainCrypto
+                // adapter but it will have a 'signerAddress' property.
+                // The chain module can handle the transaction and signature objects however it wants.
+
+                let preparedTxn = createPreparedTransaction('1', members.slice(1, 4));
+
+                let result = await adapterModule.actions.postTransaction.handler({
                     params: {
                         transaction: preparedTxn,
                     },
                 });
+                assert.equal(result.id, preparedTxn.id);
+                assert.equal(typeof result.transactionID, 'string');
+                assert.equal(JSON.stringify(result.droppedSignerAddresses), JSON.stringify([]));
             });
 
-        });
+            it('should drop invalid signatures and report their signer addresses', async () => {
+                let preparedTxn = createPreparedTransaction('2', members.slice(1, 5));
+                preparedTxn.signatures[1].signature = preparedTxn.signatures[2].signature;
 
-    });
+                let result = await adapterModule.actions.postTransaction.handler({
+                    params: {
+                        transaction: preparedTxn,
+                    },
+                });
+                assert.equal(typeof result.transactionID, 'string');
+                assert.equal(JSON.stringify(result.droppedSignerAddresses), JSON.stringify([preparedTxn.signatures[1].signerAddress]));
+            });
 
-    describe('module events', async () => {
+            it('should throw an InsufficientFeeError if the fee is lower than the minimum fee', async () => {
+                let preparedTxn = createPreparedTransaction('4', members.slice(1, 4));
+                preparedTxn.fee = '1000';
+                let caughtError = null;
+                try {
+                    await adapterModule.actions.postTransaction.handler({
+                        params: {
+                            transaction: preparedTxn,
+                        },
+                    });
+                } catch (error) {
+                    caughtError = error;
+                }
+                assert.notEqual(caughtError, null);
+                assert.equal(caughtError.type, 'InvalidActionError');
+                assert.equal(caughtError.name, 'InsufficientFeeError');
+            });
+
+            it('should throw an InsufficientSignaturesError if there are not enough valid signatures', async () => {
+                let preparedTxn = createPreparedTransaction('3', members.slice(1, 3));
+                let caughtError = null;
+                try {
+                    await adapterModule.actions.postTransaction.handler({
+                        params: {
+                            transaction: preparedTxn,
+                        },
+                    });
+                } catch (error) {
+                    caughtError = error;
+                }
+                assert.notEqual(caughtError, null);
+                assert.equal(caughtError.type, 'InvalidActionError');
+                assert.equal(caughtError.name, 'InsufficientSignaturesError');
+            });
+
+            it('should build a cross-chain transfer if a receivingChainID is provided', async () => {
+                let preparedTxn = createPreparedTransaction('7', members.slice(1, 4), '04000001');
+
+                let result = await adapterModule.actions.postTransaction.handler({
+                    params: {
+                        transaction: preparedTxn,
+                    },
+                });
+                assert.equal(result.id, preparedTxn.id);
+                assert.equal(typeof result.transactionID, 'string');
+                let postedTxn = liskServiceMock.pendingTransactions.find(({id}) => id === result.transactionID);
+                assert.equal(postedTxn.moduleCommand, 'token:transferCrossChain');
+                assert.equal(postedTxn.params.receivingChainID, '04000001');
+                assert.equal(postedTxn.params.messageFee, '10000');
+                assert.equal(postedTxn.params.messageFeeTokenID, '0000000000000000');
+            });
+
+            it('should dry run a prepared transaction without broadcasting it', async () => {
+                let preparedTxn = createPreparedTransaction('5', members.slice(1, 4));
+                let pendingCountBefore = liskServiceMock ? liskServiceMock.pendingTransactions.length : 0;
+
+                let result = await adapterModule.actions.dryRunTransaction.handler({
+                    params: {
+                        transaction: preparedTxn,
+                    },
+                });
+                assert.equal(result.id, preparedTxn.id);
+                assert.equal(result.success, true);
+                assert.equal(result.status, 'valid');
+                assert(Array.isArray(result.events));
+                assert.equal(result.errorMessage, null);
+                assert.equal(liskServiceMock.pendingTransactions.length, pendingCountBefore);
+            });
+
+            it('should broadcast the transaction if the dry run succeeds when the dryRun option is enabled', async () => {
+                let preparedTxn = createPreparedTransaction('5', members.slice(1, 4));
+
+                let result = await adapterModule.actions.postTransaction.handler({
+                    params: {
+                        transaction: preparedTxn,
+                        dryRun: true,
+                    },
+                });
+                assert.equal(result.id, preparedTxn.id);
+                assert.equal(typeof result.transactionID, 'string');
+            });
+
+            it('should throw a TransactionDryRunError and not broadcast the transaction if the dry run fails', async () => {
+                let preparedTxn = createPreparedTransaction('6', members.slice(1, 4));
+                let pendingCountBefore = liskServiceMock.pendingTransactions.length;
+                let account = liskServiceMock.accounts[senderAddress];
+                liskServiceMock.accounts[senderAddress] = {...account, nonce: '7'};
+                let caughtError = null;
+                try {
+                    await adapterModule.actions.postTransaction.handler({
+                        params: {
+                            transaction: preparedTxn,
+                            dryRun: true,
+                        },
+                    });
+                } catch (error) {
+                    caughtError = error;
+                } finally {
+                    liskServiceMock.accounts[senderAddress] = account;
+                }
+                assert.notEqual(caughtError, null);
+                assert.equal(caughtError.type, 'InvalidActionError');
+                assert.equal(caughtError.name, 'TransactionDryRunError');
+                assert(caughtError.message.includes('Incompatible transaction nonce'));
+                assert.equal(caughtError.dryRunResult.status, 'invalid');
+                assert.equal(liskServiceMock.pendingTransactions.length, pendingCountBefore);
+            });
+
+            it('should prepare the unsigned transaction bytes and the signing digest', async () => {
+                let preparedTxn = createPreparedTransaction('8', []);
+                let {signatures, ...unsignedTransaction} = preparedTxn;
+                let result = await adapterModule.actions.prepareTransaction.handler({
+                    params: {
+                        transaction: unsignedTransaction,
+                    },
+                });
+
+                let expectedBytes = liskTransactions.getSigningBytes({
+                    module: 'token',
+                    command: 'transfer',
+                    nonce: BigInt(8),
+                    fee: BigInt(preparedTxn.fee),
+                    senderPublicKey,
+                    signatures: [],
+                    params: {
+                        tokenID: toBuffer(preparedTxn.tokenID),
+                        recipientAddress: liskCryptography.address.getAddressFromLisk32Address(recipientAddress),
+                        amount: BigInt(preparedTxn.amount),
+                        data: preparedTxn.message,
+                    },
+                }, tokenTransferSchema);
+                let expectedDigest = liskCryptography.utils.hash(liskCryptography.utils.tagMessage(TAG_TRANSACTION, chainIdBytes, expectedBytes));
+
+                assert.equal(result.id, preparedTxn.id);
+                assert.equal(result.chainID, chainId);
+                assert.equal(result.transactionBytes, expectedBytes.toString('hex'));
+                assert.equal(result.signingDigest, expectedDigest.toString('hex'));
+                assert.equal(liskCryptography.ed.verifyData(TAG_TRANSACTION, chainIdBytes, expectedBytes, toBuffer(signatures[0].signature), firstSignerPublicKey), true);
+            });
+
+            it('should produce signature packets which postTransaction accepts', async () => {
+                let {signatures, ...transaction} = createPreparedTransaction('8', []);
+                let signaturePackets = [];
+                for (let {passphrase} of liskServiceFixtures.members.slice(0, 3)) {
+                    signaturePackets.push(await adapterModule.actions.signTransaction.handler({params: {transaction, passphrase}}));
+                }
+                signaturePackets.push(await adapterModule.actions.signTransaction.handler({
+                    params: {
+                        transaction,
+                        privateKey: members[3].privateKey.toString('hex'),
+                    },
+                }));
+
+                assert.equal(signaturePackets[0].signature, signatures[0].signature);
+                assert.equal(signaturePackets[3].signerAddress, liskCryptography.address.getLisk32AddressFromPublicKey(members[3].publicKey));
+
+                let result = await adapterModule.actions.postTransaction.handler({
+                    params: {
+                        transaction: {...transaction, signatures: signaturePackets},
+                    },
+                });
+                assert.equal(result.id, transaction.id);
+                assert.equal(typeof result.transactionID, 'string');
+                assert.equal(JSON.stringify(result.droppedSignerAddresses), JSON.stringify([]));
+            });
+
+            it('should throw a MultisigAccountDidNotExistError if the sender public key is the key of a member instead of the DEX wallet', async () => {
+                let preparedTxn = createPreparedTransaction('9', members.slice(1, 4));
+                preparedTxn.senderPublicKey = firstSignerPublicKey.toString('hex');
+                let caughtError = null;
+                try {
+                    await adapterModule.actions.postTransaction.handler({
+                        params: {
+                            transaction: preparedTxn,
+                        },
+                    });
+                } catch (error) {
+                    caughtError = error;
+                }
+                assert.notEqual(caughtError, null);
+                assert.equal(caughtError.type, 'InvalidActionError');
+                assert.equal(caughtError.name, 'MultisigAccountDidNotExistError');
+            });
+
+            it('should throw a TransactionSigningError if the signer is not a DEX wallet member', async () => {
+                let {signatures, ...transaction} = createPreparedTransaction('9', []);
+                let caughtError = null;
+                try {
+                    await adapterModule.actions.signTransaction.handler({
+                        params: {
+                            transaction,
+                            passphrase: 'not a member of the dex wallet',
+                        },
+                    });
+                } catch (error) {
+                    caughtError = error;
+                }
+                assert.notEqual(caughtError, null);
+                assert.equal(caughtError.type, 'InvalidActionError');
+                assert.equal(caughtError.name, 'TransactionSigningError');
+            });
+
+            describe('with mandatory members', async () => {
+
+                let account;
+                let mandatoryMemberA = members[7];
+                let mandatoryMemberB = members[6];
+                let getSignature = (preparedTxn, {publicKey}) => preparedTxn.signatures.find((signature) => signature.publicKey === publicKey.toString('hex')).signature;
+
+                before(async () => {
+                    account = liskServiceMock.accounts[senderAddress];
+                    // Keys are listed out of order so that the slots show that they are sorted.
+                    liskServiceMock.accounts[senderAddress] = {
+                        ...account,
+                        numberOfSignatures: 4,
+                        mandatoryKeys: [mandatoryMemberA, mandatoryMemberB].map(({publicKey}) => publicKey.toString('hex')),
+                        optionalKeys: members.slice(0, 6).reverse().map(({publicKey}) => publicKey.toString('hex')),
+                    };
+                    await adapterModule.refreshDEXMultisig();
+                });
+
+                after(async () => {
+                    liskServiceMock.accounts[senderAddress] = account;
+                    await adapterModule.refreshDEXMultisig();
+                });
+
+                it('should always include the signatures of the mandatory members', async () => {
+                    for (let i = 0; i < 5; i++) {
+                        let preparedTxn = createPreparedTransaction('1', [mandatoryMemberA, mandatoryMemberB, ...members.slice(1, 4)]);
+                        let result = await adapterModule.actions.postTransaction.handler({
+                            params: {
+                                transaction: preparedTxn,
+                            },
+                        });
+                        let postedTxn = liskServiceMock.pendingTransactions.find(({id}) => id === result.transactionID);
+
+                        assert.equal(postedTxn.signatures.filter((signature) => signature !== '').length, 4);
+                        assert(postedTxn.signatures.includes(getSignature(preparedTxn, mandatoryMemberA)));
+                        assert(postedTxn.signatures.includes(getSignature(preparedTxn, mandatoryMemberB)));
+                    }
+                });
+
+                it('should place the signatures in the slots of the sorted mandatory keys followed by the sorted optional keys', async () => {
+                    let preparedTxn = createPreparedTransaction('1', [mandatoryMemberA, mandatoryMemberB, members[1]]);
+                    let result = await adapterModule.actions.postTransaction.handler({
+                        params: {
+                            transaction: preparedTxn,
+                        },
+                    });
+                    let postedTxn = liskServiceMock.pendingTransactions.find(({id}) => id === result.transactionID);
+
+                    // Members are listed in the fixtures by ascending public key.
+                    assert.deepEqual(postedTxn.signatures, [
+                        getSignature(preparedTxn, members[6]),
+                        getSignature(preparedTxn, members[7]),
+                        getSignature(preparedTxn, members[0]),
+                        getSignature(preparedTxn, members[1]),
+                        '',
+                        '',
+                        '',
+                        '',
+                    ]);
+                });
+
+                it('should throw an InsufficientSignaturesError if a mandatory member did not sign', async () => {
+                    let preparedTxn = createPreparedTransaction('3', [mandatoryMemberB, ...members.slice(1, 4)]);
+                    let caughtError = null;
+                    try {
+                        await adapterModule.actions.postTransaction.handler({
+                            params: {
+                                transaction: preparedTxn,
+                            },
+                        });
+                    } catch (error) {
+                        caughtError = error;
+                    }
+                    assert.notEqual(caughtError, null);
+                    assert.equal(caughtError.type, 'InvalidActionError');
+                    assert.equal(caughtError.name, 'InsufficientSignaturesError');
+                    assert(caughtError.message.includes(mandatoryMemberA.publicKey.toString('hex')));
+                });
+
+            });
+
+        });
+
+        describe('estimateTransferFee action', async () => {
+
+            it('should return a fee which is at least the minimum fee for the DEX wallet signatures', async () => {
+                let estimate = await adapterModule.actions.estimateTransferFee.handler({
+                    params: {
+                        recipientAddress: 'lskdfgve6v7h7x3mn84c39m9esmjabtj5yv9j9hzk',
+                        amount: '20000000',
+                        message: 'testing',
+                    },
+                });
+                assert.equal(estimate.priority, 'medium');
+                assert.equal(typeof estimate.minFee, 'string');
+                assert.equal(typeof estimate.fee, 'string');
+                assert(BigInt(estimate.fee) > BigInt(estimate.minFee));
+                // Each signature alone accounts for 64 bytes at the minimum fee of 1000 beddows per byte.
+                assert(BigInt(estimate.minFee) > BigInt(4 * 64 * 1000));
+            });
+
+            it('should return a higher fee for a higher priority', async () => {
+                let lowEstimate = await adapterModule.actions.estimateTransferFee.handler({
+                    params: {
+                        priority: 'low',
+                    },
+                });
+                let highEstimate = await adapterModule.actions.estimateTransferFee.handler({
+                    params: {
+                        priority: 'high',
+                    },
+                });
+                assert.equal(lowEstimate.fee, lowEstimate.minFee);
+                assert(BigInt(highEstimate.fee) > BigInt(lowEstimate.fee));
+            });
+
+            it('should return a higher fee for a cross-chain transfer', async () => {
+                let params = {
+                    recipientAddress: 'lskdfgve6v7h7x3mn84c39m9esmjabtj5yv9j9hzk',
+                    amount: '20000000',
+                    message: 'testing',
+                };
+                let estimate = await adapterModule.actions.estimateTransferFee.handler({params});
+                let crossChainEstimate = await adapterModule.actions.estimateTransferFee.handler({
+                    params: {
+                        ...params,
+                        receivingChainID: '04000001',
+                    },
+                });
+                assert(BigInt(crossChainEstimate.minFee) > BigInt(estimate.minFee));
+            });
+
+            it('should throw a FeeEstimationError if the priority is not supported', async () => {
+                let caughtError = null;
+                try {
+                    await adapterModule.actions.estimateTransferFee.handler({
+                        params: {
+                            priority: 'urgent',
+                        },
+                    });
+                } catch (error) {
+                    caughtError = error;
+                }
+                assert.notEqual(caughtError, null);
+                assert.equal(caughtError.type, 'InvalidActionError');
+                assert.equal(caughtError.name, 'FeeEstimationError');
+            });
+
+        });
+
+        describe('getTransactionStatus action', async () => {
+
+            const senderWalletAddress = 'lsk5eyah7pnq92kgscrnd8mn5kputpn74p5qfvdsm';
+
+            it('should report a transaction which was included in a block along with the block height', async () => {
+                let status = await adapterModule.actions.getTransactionStatus.handler({
+                    params: {
+                        walletAddress: senderWalletAddress,
+                        nonce: '2',
+                    },
+                });
+                assert.equal(status.status, 'included');
+                assert.equal(status.id, computeDEXTransactionId(senderWalletAddress, '2'));
+                assert.equal(typeof status.transactionID, 'string');
+                assert.equal(status.height, 23476951);
+            });
+
+            it('should report a transaction which was included in a block but failed to execute as failed', async () => {
+                let status = await adapterModule.actions.getTransactionStatus.handler({
+                    params: {
+                        walletAddress: liskServiceFixtures.members[5].address,
+                        nonce: '0',
+                    },
+                });
+                assert.equal(status.status, 'failed');
+                assert.equal(status.executionStatus, 'failed');
+                assert.equal(status.height, 23476970);
+            });
+
+            it('should report a transaction as expired if a different transaction used its nonce', async () => {
+                let status = await adapterModule.actions.getTransactionStatus.handler({
+                    params: {
+                        walletAddress: senderWalletAddress,
+                        nonce: '2',
+                        transactionID: '0000000000000000000000000000000000000000000000000000000000000000',
+                    },
+                });
+                assert.equal(status.status, 'expired');
+            });
+
+            it('should report a transaction as expired if its nonce was used without a matching transaction', async () => {
+                let status = await adapterModule.actions.getTransactionStatus.handler({
+                    params: {
+                        walletAddress: senderWalletAddress,
+                        nonce: '3',
+                    },
+                });
+                assert.equal(status.status, 'expired');
+            });
+
+            it('should report a broadcasted transaction as pending', async () => {
+                let status = await adapterModule.actions.getTransactionStatus.handler({
+                    params: {
+                        walletAddress: liskServiceFixtures.dexWallet.address,
+                        nonce: '1',
+                    },
+                });
+                assert.equal(status.status, 'pending');
+            });
+
+            it('should throw a TransactionDidNotExistError if no transaction used the nonce', async () => {
+                let caughtError = null;
+                try {
+                    await adapterModule.actions.getTransactionStatus.handler({
+                        params: {
+                            walletAddress: senderWalletAddress,
+                            nonce: '99',
+                        },
+                    });
+                } catch (error) {
+                    caughtError = error;
+                }
+                assert.notEqual(caughtError, null);
+                assert.equal(caughtError.type, 'InvalidActionError');
+                assert.equal(caughtError.name, 'TransactionDidNotExistError');
+            });
+
+        });
+
+    });
+
+    describe('multisig signature packets', async () => {
+
+        let members = liskServiceFixtures.members.map(({passphrase}) => liskCryptography.legacy.getPrivateAndPublicKeyFromPassphrase(passphrase));
+        let multisigSnapshot = createMultisigSnapshot({
+            numberOfSignatures: 2,
+            mandatoryKeys: [],
+            optionalKeys: members.slice(0, 3).map(({publicKey}) => publicKey.toString('hex')),
+        });
+        let signingBytes = Buffer.from('signing bytes');
+        let chainID = liskServiceFixtures.chain.chainID;
+
+        it('should accept signature packets with signer addresses which use the chain symbol', () => {
+            let signaturePackets = members.slice(0, 2).map(({privateKey}) => createSignaturePacket(signingBytes, chainID, 'tst', privateKey));
+            let {validSignaturePackets, droppedSignaturePackets} = verifySignaturePackets(multisigSnapshot, signingBytes, chainID, 'tst', signaturePackets);
+
+            assert(signaturePackets.every(({signerAddress}) => signerAddress.startsWith('tst')));
+            assert.equal(validSignaturePackets.length, 2);
+            assert.equal(droppedSignaturePackets.length, 0);
+        });
+
+        it('should drop signature packets with signer addresses which use a different prefix', () => {
+            let signaturePackets = members.slice(0, 2).map(({privateKey}) => createSignaturePacket(signingBytes, chainID, 'lsk', privateKey));
+            let {validSignaturePackets, droppedSignaturePackets} = verifySignaturePackets(multisigSnapshot, signingBytes, chainID, 'tst', signaturePackets);
+
+            assert.equal(validSignaturePackets.length, 0);
+            assert.equal(droppedSignaturePackets.length, 2);
+        });
+
+    });
+
+    describe('service failures', async () => {
+
+        afterEach(() => {
+            liskServiceMock.failures = [];
+        });
+
+        it('should retry reads which were rate limited', async () => {
+            liskServiceMock.failNextRequests(1, 429, {'Retry-After': '0'});
+            let height = await adapterModule.actions.getMaxBlockHeight.handler();
+            assert(Number.isInteger(height));
+        });
+
+        it('should retry reads which failed with a server error', async () => {
+            liskServiceMock.failNextRequests(2, 503);
+            // The block must not have been read before since finalized blocks are served from the cache.
+            let block = await adapterModule.actions.getBlockAtHeight.handler({
+                params: {
+                    height: 23476952,
+                },
+            });
+            assert.equal(block.height, 23476952);
+            assert.equal(liskServiceMock.failures.length, 0);
+        });
+
+        it('should not treat a persistent service failure as an absence of transactions', async () => {
+            liskServiceMock.failNextRequests(10, 503);
+            let caughtError = null;
+            try {
+                await adapterModule.actions.getOutboundTransactions.handler({
+                    params: {
+                        walletAddress: 'lsk5eyah7pnq92kgscrnd8mn5kputpn74p5qfvdsm',
+                        fromTimestamp: 0,
+                        limit: 3,
+                    },
+                });
+            } catch (error) {
+                caughtError = error;
+            }
+            assert.notEqual(caughtError, null);
+            assert.equal(caughtError.type, 'InvalidActionError');
+            assert.equal(caughtError.name, 'AccountDidNotExistError');
+        });
+
+        it('should not re-send a transaction if the service failed while processing it', async () => {
+            let members = liskServiceFixtures.members.map(({passphrase}) => liskCryptography.legacy.getPrivateAndPublicKeyFromPassphrase(passphrase));
+            let optionalKeys = members.map(({publicKey}) => publicKey);
+            let txnData = {
+                module: 'token',
+                command: 'transfer',
+                nonce: BigInt('10'),
+                fee: BigInt('700000'),
+                senderPublicKey: toBuffer(liskServiceFixtures.dexWallet.publicKey),
+                signatures: [],
+                params: {
+                    tokenID: toBuffer('0000000000000000'),
+                    recipientAddress: liskCryptography.address.getAddressFromLisk32Address('lskdfgve6v7h7x3mn84c39m9esmjabtj5yv9j9hzk'),
+                    amount: BigInt('20000000'),
+                    data: ''
+                }
+            };
+            let signatures = members.slice(0, 4).map(({publicKey, privateKey}) => {
+                let signedTxn = liskTransactions.signMultiSignatureTransaction(txnData, toBuffer(liskServiceFixtures.chain.chainID), privateKey, {mandatoryKeys: [], optionalKeys}, tokenTransferSchema);
+                return {
+                    signerAddress: liskCryptography.address.getLisk32AddressFromPublicKey(publicKey),
+                    publicKey: publicKey.toString('hex'),
+                    signature: signedTxn.signatures[optionalKeys.indexOf(publicKey)].toString('hex'),
+                };
+            });
+
+            liskServiceMock.failNextRequests(1, 500, {}, 'POST');
+            let postCountBefore = liskServiceMock.receivedRequests.filter(({method}) => method === 'POST').length;
+            let caughtError = null;
+            try {
+                await adapterModule.actions.postTransaction.handler({
+                    params: {
+                        transaction: {
+                            id: computeDEXTransactionId(liskServiceFixtures.dexWallet.address, '10'),
+                            message: '',
+                            amount: '20000000',
+                            fee: '700000',
+                            nonce: '10',
+                            senderPublicKey: liskServiceFixtures.dexWallet.publicKey,
+                            recipientAddress: 'lskdfgve6v7h7x3mn84c39m9esmjabtj5yv9j9hzk',
+                            signatures,
+                        },
+                    },
+                });
+            } catch (error) {
+                caughtError = error;
+            }
+            let postCountAfter = liskServiceMock.receivedRequests.filter(({method}) => method === 'POST').length;
+            assert.notEqual(caughtError, null);
+            assert.equal(caughtError.name, 'TransactionBroadcastError');
+            assert.equal(postCountAfter - postCountBefore, 1);
+        });
+
+    });
+
+    describe('service node failover', async () => {
+
+        let primaryServiceMock;
+        let secondaryServiceMock;
+        let repository;
+
+        let countNetworkStatusRequests = (serviceMock) =>
+            serviceMock.receivedRequests.filter(({pathname}) => pathname === '/api/v3/network/status').length;
+
+        beforeEach(async () => {
+            primaryServiceMock = new LiskServiceMock(liskServiceFixtures);
+            secondaryServiceMock = new LiskServiceMock(liskServiceFixtures);
+            await primaryServiceMock.start();
+            await secondaryServiceMock.start();
+            repository = new LiskServiceRepository({
+                config: {
+                    serviceURLs: [primaryServiceMock.url, secondaryServiceMock.url],
+                    nodeCoolDown: 200,
+                    maxRetries: 0,
+                },
+                logger: {
+                    warn: () => {
+                    },
+                },
+            });
+        });
+
+        afterEach(async () => {
+            await primaryServiceMock.stop();
+            await secondaryServiceMock.stop();
+        });
+
+        it('should switch to the next service node if a node fails', async () => {
+            primaryServiceMock.failNextRequests(1, 503);
+            let networkStatus = await repository.getNetworkStatus();
+
+            assert.equal(networkStatus.data.height, liskServiceFixtures.chain.height);
+            assert.equal(countNetworkStatusRequests(primaryServiceMock), 1);
+            assert.equal(countNetworkStatusRequests(secondaryServiceMock), 1);
+            assert.equal(repository.getConnectionStatus().endpoint, secondaryServiceMock.url);
+        });
+
+        it('should not send requests to a failed service node while it is cooling down', async () => {
+            primaryServiceMock.failNextRequests(1, 503);
+            await repository.getNetworkStatus();
+            await repository.getNetworkStatus();
+
+            assert.equal(countNetworkStatusRequests(primaryServiceMock), 1);
+            assert.equal(countNetworkStatusRequests(secondaryServiceMock), 2);
+        });
+
+        it('should use a failed service node again after it cooled down', async () => {
+            primaryServiceMock.failNextRequests(1, 503);
+            await repository.getNetworkStatus();
+            await wait(250);
+            await repository.getNetworkStatus();
+
+            assert.equal(countNetworkStatusRequests(primaryServiceMock), 2);
+            assert.equal(countNetworkStatusRequests(secondaryServiceMock), 1);
+            assert.equal(repository.getConnectionStatus().endpoint, primaryServiceMock.url);
+        });
+
+        it('should fall back to a cooling down service node if every node failed', async () => {
+            primaryServiceMock.failNextRequests(1, 503);
+            secondaryServiceMock.failNextRequests(1, 503);
+            let caughtError = null;
+            try {
+                await repository.getNetworkStatus();
+            } catch (error) {
+                caughtError = error;
+            }
+            let networkStatus = await repository.getNetworkStatus();
+
+            assert.notEqual(caughtError, null);
+            assert.equal(networkStatus.data.height, liskServiceFixtures.chain.height);
+            assert.equal(countNetworkStatusRequests(primaryServiceMock), 2);
+        });
+
+    });
+
+    describe('response caching', async () => {
+
+        let countRequests = (pathname) => liskServiceMock.receivedRequests.filter((request) => request.pathname === pathname).length;
+
+        it('should serve finalized blocks from the cache', async () => {
+            let statsBefore = await adapterModule.actions.getCacheStats.handler();
+            await adapterModule.actions.getBlockAtHeight.handler({params: {height: 23476900}});
+            let requestCount = countRequests('/api/v3/blocks');
+            let block = await adapterModule.actions.getBlockAtHeight.handler({params: {height: 23476900}});
+            let statsAfter = await adapterModule.actions.getCacheStats.handler();
+
+            assert.equal(block.height, 23476900);
+            assert.equal(countRequests('/api/v3/blocks'), requestCount);
+            assert.equal(statsAfter.hits, statsBefore.hits + 1);
+            assert.equal(statsAfter.misses, statsBefore.misses + 1);
+        });
+
+        it('should not cache blocks above the finalized height', async () => {
+            let height = liskServiceMock.chain.height;
+            await adapterModule.actions.getBlockAtHeight.handler({params: {height}});
+            let requestCount = countRequests('/api/v3/blocks');
+            await adapterModule.actions.getBlockAtHeight.handler({params: {height}});
+            assert.equal(countRequests('/api/v3/blocks'), requestCount + 1);
+        });
+
+        it('should serve transactions of finalized blocks from the cache', async () => {
+            let params = {
+                walletAddress: 'lsk5eyah7pnq92kgscrnd8mn5kputpn74p5qfvdsm',
+                blockId: '3dd17c521eed2676271ec28b83795abe815243aea281c534e8681b57e62ea9f1',
+            };
+            let firstTransactions = await adapterModule.actions.getOutboundTransactionsFromBlock.handler({params});
+            let requestCount = countRequests('/api/v3/transactions');
+            let transactions = await adapterModule.actions.getOutboundTransactionsFromBlock.handler({params});
+            assert.equal(countRequests('/api/v3/transactions'), requestCount);
+            assert.equal(JSON.stringify(transactions), JSON.stringify(firstTransactions));
+        });
+
+        it('should reuse finalized data which was cached on disk by a previous instance', async () => {
+            let cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'dex-adapter-cache-'));
+            try {
+                let config = {serviceURL: liskServiceMock.url, cacheDirectory};
+                await new LiskServiceRepository({config}).getBlockAtHeight(23476901);
+                let requestCount = countRequests('/api/v3/blocks');
+
+                let repository = new LiskServiceRepository({config});
+                let block = await repository.getBlockAtHeight(23476901);
+                assert.equal(block.height, 23476901);
+                assert.equal(countRequests('/api/v3/blocks'), requestCount);
+                assert.equal(repository.getCacheStats().diskHits, 1);
+            } finally {
+                fs.rmSync(cacheDirectory, {recursive: true, force: true});
+            }
+        });
+
+    });
+
+    describe('health', async () => {
+
+        afterEach(() => {
+            liskServiceMock.failures = [];
+        });
+
+        it('should report the endpoint, heights and DEX wallet multisig of the adapter', async () => {
+            await adapterModule.processChainChanges();
+            let health = await adapterModule.actions.getHealth.handler();
+
+            assert.equal(health.status, 'healthy');
+            assert.equal(health.endpoint, liskServiceMock.url);
+            assert(health.lastSuccessfulResponseTime <= Date.now());
+            assert.equal(health.networkHeight, liskServiceMock.chain.height);
+            assert.equal(health.finalizedHeight, liskServiceMock.chain.finalizedHeight);
+            assert.equal(health.latestKnownHeight, liskServiceMock.chain.height);
+            assert.equal(health.lag, 0);
+            assert.deepEqual(health.dexWallets, [
+                {walletAddress: 'lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2', memberCount: 8, numberOfSignatures: 4},
+            ]);
+            assert.equal(health.errorMessage, null);
+        });
+
+        it('should report the lag of the block watcher behind the network', async () => {
+            liskServiceMock.addBlock();
+            liskServiceMock.addBlock();
+            let health = await adapterModule.actions.getHealth.handler();
+            await adapterModule.processChainChanges();
+
+            assert.equal(health.lag, 2);
+        });
+
+        it('should count recent errors per action', async () => {
+            let healthBefore = await adapterModule.actions.getHealth.handler();
+            let errorCountBefore = healthBefore.recentActionErrors.getBlockAtHeight || 0;
+            for (let i = 0; i < 2; i++) {
+                try {
+                    await adapterModule.actions.getBlockAtHeight.handler({params: {height: 9}});
+                } catch (error) {
+                }
+            }
+            let health = await adapterModule.actions.getHealth.handler();
+
+            assert.equal(health.recentActionErrors.getBlockAtHeight, errorCountBefore + 2);
+        });
+
+        it('should report the adapter as unhealthy after a single failed network status request instead of retrying', async () => {
+            liskServiceMock.failNextRequests(1, 503);
+            let requestCount = liskServiceMock.receivedRequests.length;
+            let health = await adapterModule.actions.getHealth.handler();
+
+            assert.equal(liskServiceMock.receivedRequests.length, requestCount + 1);
+            assert.equal(health.status, 'unhealthy');
+            assert.equal(health.networkHeight, null);
+            assert.equal(health.lag, null);
+            assert(health.errorMessage.includes('Failed to get network status'));
+            assert.equal(health.endpoint, liskServiceMock.url);
+        });
+
+    });
+
+    describe('metrics', async () => {
+
+        let metricsAdapterModule;
+
+        let getMetrics = async () => (await axios.get(metricsAdapterModule.metricsServer.url)).data;
+
+        let getMetricValue = (metrics, series) => {
+            let line = metrics.split('\n').find((line) => line.startsWith(`${series} `));
+            return line == null ? null : Number(line.slice(series.length + 1));
+        };
+
+        let postTransaction = async (nonce) => {
+            let {address: senderAddress, publicKey: senderPublicKey} = liskServiceFixtures.dexWallet;
+            let transaction = {
+                id: computeDEXTransactionId(senderAddress, nonce),
+                message: '',
+                amount: '10000000',
+                senderAddress,
+                recipientAddress: 'lskdfgve6v7h7x3mn84c39m9esmjabtj5yv9j9hzk',
+                fee: '700000',
+                nonce,
+                senderPublicKey,
+            };
+            let signatures = [];
+            for (let {passphrase} of liskServiceFixtures.members.slice(0, 4)) {
+                signatures.push(await metricsAdapterModule.actions.signTransaction.handler({params: {transaction, passphrase}}));
+            }
+            return metricsAdapterModule.actions.postTransaction.handler({params: {transaction: {...transaction, signatures}}});
+        };
+
+        before(async () => {
+            metricsAdapterModule = createTestAdapter({
+                dexWalletAddress: 'lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2',
+                serviceURL: liskServiceMock.url,
+                metricsPort: 0,
+            });
+            await metricsAdapterModule.load(createTestChannel());
+        });
+
+        after(async () => {
+            if (metricsAdapterModule) {
+                await metricsAdapterModule.unload();
+            }
+            liskServiceMock.failures = [];
+        });
+
+        it('should serve request duration histograms per Lisk Service path in the Prometheus format', async () => {
+            let response = await axios.get(metricsAdapterModule.metricsServer.url);
+            let metrics = response.data;
+
+            assert(response.headers['content-type'].startsWith('text/plain; version=0.0.4'));
+            assert(metrics.includes('# TYPE lisk_dex_adapter_service_request_duration_seconds histogram'));
+            assert.equal(getMetricValue(metrics, 'lisk_dex_adapter_service_request_duration_seconds_count{method="GET",path="/api/v3/auth"}'), 1);
+            assert.equal(
+                getMetricValue(metrics, 'lisk_dex_adapter_service_request_duration_seconds_bucket{method="GET",path="/api/v3/auth",le="+Inf"}'),
+                1
+            );
+        });
+
+        it('should count errors by action and InvalidActionError name', async () => {
+            for (let i = 0; i < 2; i++) {
+                try {
+                    await metricsAdapterModule.actions.getBlockAtHeight.handler({params: {height: 9}});
+                } catch (error) {
+                }
+            }
+            let metrics = await getMetrics();
+
+            assert.equal(getMetricValue(metrics, 'lisk_dex_adapter_action_errors_total{action="getBlockAtHeight",error="BlockDidNotExistError"}'), 2);
+        });
+
+        it('should count successful and failed transaction broadcasts', async () => {
+            await postTransaction('30');
+            liskServiceMock.failNextRequests(1, 500, {}, 'POST');
+            try {
+                await postTransaction('31');
+            } catch (error) {
+            }
+            let metrics = await getMetrics();
+
+            assert.equal(getMetricValue(metrics, 'lisk_dex_adapter_transaction_broadcasts_total{result="success"}'), 1);
+            assert.equal(getMetricValue(metrics, 'lisk_dex_adapter_transaction_broadcasts_total{result="failure"}'), 1);
+            assert.equal(getMetricValue(metrics, 'lisk_dex_adapter_action_errors_total{action="postTransaction",error="TransactionBroadcastError"}'), 1);
+        });
+
+        it('should report the chain height and the lag of the block watcher', async () => {
+            await metricsAdapterModule.processChainChanges();
+            liskServiceMock.addBlock();
+            let metrics = await getMetrics();
+            await metricsAdapterModule.processChainChanges();
+            await adapterModule.processChainChanges();
+
+            assert.equal(getMetricValue(metrics, 'lisk_dex_adapter_chain_height'), liskServiceMock.chain.height);
+            assert.equal(getMetricValue(metrics, 'lisk_dex_adapter_block_watcher_lag_blocks'), 1);
+        });
+
+        it('should leave out the chain metrics after a single failed network status request', async () => {
+            let countNetworkStatusRequests = () => liskServiceMock.receivedRequests.filter(({pathname}) => pathname === '/api/v3/network/status').length;
+            let requestCountBefore = countNetworkStatusRequests();
+            liskServiceMock.failNextRequests(1, 500, {}, 'GET');
+            let metrics = await getMetrics();
+
+            assert.equal(countNetworkStatusRequests() - requestCountBefore, 1);
+            assert.equal(getMetricValue(metrics, 'lisk_dex_adapter_chain_height'), null);
+            assert.equal(getMetricValue(metrics, 'lisk_dex_adapter_block_watcher_lag_blocks'), null);
+            assert(metrics.includes('# TYPE lisk_dex_adapter_action_errors_total counter'));
+        });
+
+    });
+
+    describe('multiple DEX wallets', async () => {
+
+        let members = liskServiceFixtures.members.map(({passphrase}) => liskCryptography.legacy.getPrivateAndPublicKeyFromPassphrase(passphrase));
+        let defaultWalletAddress = 'lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2';
+        let secondWalletKeys = members[7];
+        let secondWalletAddress = liskCryptography.address.getLisk32AddressFromPublicKey(secondWalletKeys.publicKey);
+        let multiWalletAdapterModule;
+
+        let createTransaction = (senderPublicKey, nonce) => {
+            let senderAddress = liskCryptography.address.getLisk32AddressFromPublicKey(senderPublicKey);
+            return {
+                id: computeDEXTransactionId(senderAddress, nonce),
+                message: 'market payout',
+                amount: '10000000',
+                tokenID: '0000000000000000',
+                senderAddress,
+                recipientAddress: 'lskdfgve6v7h7x3mn84c39m9esmjabtj5yv9j9hzk',
+                fee: '700000',
+                nonce,
+                senderPublicKey: senderPublicKey.toString('hex'),
+            };
+        };
+
+        before(async () => {
+            liskServiceMock.accounts[secondWalletAddress] = {
+                nonce: '0',
+                numberOfSignatures: 2,
+                mandatoryKeys: [],
+                optionalKeys: members.slice(0, 4).map(({publicKey}) => publicKey.toString('hex')),
+            };
+            multiWalletAdapterModule = createTestAdapter({
+                dexWalletAddress: defaultWalletAddress,
+                dexWalletAddresses: [secondWalletAddress],
+                serviceURL: liskServiceMock.url,
+            });
+            await multiWalletAdapterModule.load(createTestChannel());
+        });
+
+        after(async () => {
+            if (multiWalletAdapterModule) {
+                await multiWalletAdapterModule.unload();
+            }
+            delete liskServiceMock.accounts[secondWalletAddress];
+        });
+
+        it('should report the status of each DEX wallet', async () => {
+            let status = await multiWalletAdapterModule.actions.getStatus.handler();
+            assert.deepEqual(status.dexWallets.map(({walletAddress}) => walletAddress), [defaultWalletAddress, secondWalletAddress]);
+            assert.equal(status.dexWallets[0].numberOfSignatures, 4);
+            assert.equal(status.dexWallets[0].memberAddresses.length, 8);
+            assert.equal(status.dexWallets[1].numberOfSignatures, 2);
+            assert.equal(status.dexWallets[1].memberAddresses.length, 4);
+        });
+
+        it('should sign and post a transaction with the members of the wallet which matches the sender public key', async () => {
+            let transaction = createTransaction(secondWalletKeys.publicKey, '1');
+            let signatures = [];
+            for (let {passphrase} of liskServiceFixtures.members.slice(0, 2)) {
+                signatures.push(await multiWalletAdapterModule.actions.signTransaction.handler({params: {transaction, passphrase}}));
+            }
+            let result = await multiWalletAdapterModule.actions.postTransaction.handler({
+                params: {
+                    transaction: {...transaction, signatures},
+                },
+            });
+            assert.equal(result.id, transaction.id);
+            assert.equal(typeof result.transactionID, 'string');
+            assert.equal(JSON.stringify(result.droppedSignerAddresses), JSON.stringify([]));
+        });
+
+        it('should throw a MultisigAccountDidNotExistError if the sender public key does not belong to a DEX wallet', async () => {
+            let caughtError = null;
+            try {
+                await multiWalletAdapterModule.actions.postTransaction.handler({
+                    params: {
+                        transaction: {...createTransaction(members[6].publicKey, '1'), signatures: []},
+                    },
+                });
+            } catch (error) {
+                caughtError = error;
+            }
+            assert.notEqual(caughtError, null);
+            assert.equal(caughtError.type, 'InvalidActionError');
+            assert.equal(caughtError.name, 'MultisigAccountDidNotExistError');
+        });
+
+        it('should estimate the fee for the signatures of the specified DEX wallet', async () => {
+            let params = {
+                recipientAddress: 'lskdfgve6v7h7x3mn84c39m9esmjabtj5yv9j9hzk',
+                amount: '10000000',
+            };
+            let defaultEstimate = await multiWalletAdapterModule.actions.estimateTransferFee.handler({params});
+            let secondEstimate = await multiWalletAdapterModule.actions.estimateTransferFee.handler({
+                params: {...params, walletAddress: secondWalletAddress},
+            });
+            assert(BigInt(secondEstimate.minFee) < BigInt(defaultEstimate.minFee));
+        });
+
+    });
+
+    describe('local transaction index', async () => {
+
+        let indexDirectory;
+        let indexPath;
+        let indexAdapterModule;
+        let walletAddress = 'lsk5eyah7pnq92kgscrnd8mn5kputpn74p5qfvdsm';
+
+        let loadIndexAdapter = async () => {
+            let adapter = createTestAdapter({
+                dexWalletAddress: walletAddress,
+                serviceURL: liskServiceMock.url,
+                transactionIndexPath: indexPath,
+            });
+            await adapter.load(createTestChannel());
+            await adapter.transactionIndexSyncPromise;
+            return adapter;
+        };
+
+        let getTransactionRequests = () => liskServiceMock.receivedRequests.filter((request) => request.pathname === '/api/v3/transactions');
+
+        before(async () => {
+            indexDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'dex-adapter-index-'));
+            indexPath = path.join(indexDirectory, 'index.json');
+            indexAdapterModule = await loadIndexAdapter();
+        });
+
+        after(async () => {
+            if (indexAdapterModule) {
+                await indexAdapterModule.unload();
+            }
+            if (indexDirectory) {
+                fs.rmSync(indexDirectory, {recursive: true, force: true});
+            }
+            // Catch up with the blocks which were added so that they are not reported to later tests.
+            await adapterModule.processChainChanges();
+        });
+
+        it('should answer per block actions from the index without requesting transactions', async () => {
+            assert.equal(indexAdapterModule.dexWallets[walletAddress].transactionIndex.syncedHeight, liskServiceMock.chain.height);
+            await indexAdapterModule.actions.getBlockAtHeight.handler({params: {height: 23476951}});
+
+            let requestCount = liskServiceMock.receivedRequests.length;
+            let transactions = await indexAdapterModule.actions.getOutboundTransactionsFromBlock.handler({
+                params: {
+                    walletAddress,
+                    blockId: '3dd17c521eed2676271ec28b83795abe815243aea281c534e8681b57e62ea9f1',
+                },
+            });
+            assert.equal(liskServiceMock.receivedRequests.length, requestCount);
+            assert.equal(transactions.length, 1);
+            assert.equal(transactions[0].id, computeDEXTransactionId(walletAddress, liskServiceFixtures.transactions[2].nonce));
+        });
+
+        it('should answer inbound transactions including cross-chain credits from the index without per block requests', async () => {
+            let recipientAddress = 'lskdfgve6v7h7x3mn84c39m9esmjabtj5yv9j9hzk';
+            let recipientIndexPath = path.join(indexDirectory, 'recipient-index.json');
+            let requestCount = liskServiceMock.receivedRequests.length;
+            let recipientAdapterModule = createTestAdapter({
+                dexWalletAddress: recipientAddress,
+                serviceURL: liskServiceMock.url,
+                transactionIndexPath: recipientIndexPath,
+            });
+            try {
+                await recipientAdapterModule.load(createTestChannel());
+                await recipientAdapterModule.transactionIndexSyncPromise;
+                let block = await recipientAdapterModule.actions.getBlockAtHeight.handler({params: {height: 23476960}});
+
+                let syncRequestCount = liskServiceMock.receivedRequests.length;
+                let transactions = await recipientAdapterModule.actions.getInboundTransactionsFromBlock.handler({
+                    params: {
+                        walletAddress: recipientAddress,
+                        blockId: block.id,
+                    },
+                });
+                assert.equal(liskServiceMock.receivedRequests.length, syncRequestCount);
+                assert.equal(transactions.length, 1);
+                assert.equal(transactions[0].sendingChainID, '04000001');
+                assert.equal(transactions[0].amount, '300000000');
+
+                let eventRequests = liskServiceMock.receivedRequests.slice(requestCount).filter(({pathname}) => pathname === '/api/v3/events');
+                assert.notEqual(eventRequests.length, 0);
+                assert.equal(eventRequests.some(({query}) => query.blockID != null), false);
+            } finally {
+                await recipientAdapterModule.unload();
+            }
+        });
+
+        it('should resume syncing from the last synced height after a restart', async () => {
+            let syncedHeight = indexAdapterModule.dexWallets[walletAddress].transactionIndex.syncedHeight;
+            await indexAdapterModule.unload();
+            liskServiceMock.addBlock();
+
+            let requestCount = getTransactionRequests().length;
+            indexAdapterModule = await loadIndexAdapter();
+            let heightFilters = getTransactionRequests().slice(requestCount).map(({query}) => query.height);
+
+            assert.equal(indexAdapterModule.dexWallets[walletAddress].transactionIndex.syncedHeight, liskServiceMock.chain.height);
+            assert(heightFilters.length > 0);
+            for (let heightFilter of heightFilters) {
+                assert.equal(heightFilter, `${syncedHeight + 1}:${liskServiceMock.chain.height}`);
+            }
+        });
+
+        it('should stop retrying a batch after a limited number of attempts if the chain keeps changing', async () => {
+            let transactionIndex = indexAdapterModule.dexWallets[walletAddress].transactionIndex;
+            let {repository} = indexAdapterModule;
+            let getInboundTransactionsBetweenHeights = repository.getInboundTransactionsBetweenHeights;
+            let syncedHeight = transactionIndex.syncedHeight;
+            let batchRequestCount = 0;
+            liskServiceMock.addBlock();
+            // Simulates service nodes which disagree about the block which contains a transfer.
+            repository.getInboundTransactionsBetweenHeights = async (recipientAddress, fromHeight, toHeight) => {
+                batchRequestCount++;
+                return [{id: '0'.repeat(64), block: {id: `${batchRequestCount}`.padStart(64, '0'), height: toHeight}}];
+            };
+            transactionIndex.batchRetryDelay = 1;
+            let caughtError = null;
+            try {
+                await transactionIndex.sync();
+            } catch (error) {
+                caughtError = error;
+            } finally {
+                repository.getInboundTransactionsBetweenHeights = getInboundTransactionsBetweenHeights;
+            }
+
+            assert.notEqual(caughtError, null);
+            assert.equal(batchRequestCount, transactionIndex.maxBatchAttempts);
+            assert.equal(transactionIndex.syncedHeight, syncedHeight);
+
+            await transactionIndex.sync();
+            assert.equal(transactionIndex.syncedHeight, liskServiceMock.chain.height);
+        });
+
+        it('should remove transactions of orphaned blocks', async () => {
+            let transaction = {
+                ...liskServiceFixtures.transactions[2],
+                id: '8a2ea5bd34e6f27e4e0b9dba6d44bb8b43e4c1f48e8cd4bb6a9cd4d1e45a58b7',
+                nonce: '20',
+            };
+            liskServiceMock.pendingTransactions.push(transaction);
+            let orphanedBlock = liskServiceMock.addBlock();
+            await indexAdapterModule.syncTransactionIndex();
+            assert.equal(indexAdapterModule.dexWallets[walletAddress].transactionIndex.getTransactionsFromBlock(orphanedBlock.id, orphanedBlock.height, 'outbound').length, 1);
+
+            liskServiceMock.transactions = liskServiceMock.transactions.filter(({id}) => id !== transaction.id);
+            liskServiceMock.forkFromHeight(orphanedBlock.height);
+            await indexAdapterModule.syncTransactionIndex();
+
+            let canonicalBlock = await indexAdapterModule.actions.getBlockAtHeight.handler({params: {height: orphanedBlock.height}});
+            let transactions = await indexAdapterModule.actions.getOutboundTransactionsFromBlock.handler({
+                params: {walletAddress, blockId: canonicalBlock.id},
+            });
+            assert.notEqual(canonicalBlock.id, orphanedBlock.id);
+            assert.equal(indexAdapterModule.dexWallets[walletAddress].transactionIndex.blocks[orphanedBlock.id], undefined);
+            assert.equal(indexAdapterModule.dexWallets[walletAddress].transactionIndex.getTransactionsFromBlock(orphanedBlock.id, orphanedBlock.height, 'outbound'), null);
+            assert.equal(transactions.length, 0);
+        });
+
+    });
+
+    describe('module events', async () => {
+
+        it('should trigger bootstrap event after launch', async () => {
+            assert(bootstrapEventTriggered);
+        });
+
+        describe('chain changes', async () => {
+
+            const dexWalletAddress = 'lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2';
+
+            beforeEach(() => {
+                chainChangeEvents = [];
+                multisigMembersChangedEvents = [];
+                chainRollbackEvents = [];
+            });
+
+            it('should trigger a chainChanges event with an addBlock type for each new block', async () => {
+                let firstBlock = liskServiceMock.addBlock();
+                let secondBlock = liskServiceMock.addBlock();
+                await adapterModule.processChainChanges();
+
+                assert.equal(chainChangeEvents.length, 2);
+                assert.equal(chainChangeEvents[0].data.type, 'addBlock');
+                assert.equal(chainChangeEvents[0].data.block.id, firstBlock.id);
+                assert.equal(chainChangeEvents[0].data.block.height, firstBlock.height);
+                assert.equal(chainChangeEvents[1].data.type, 'addBlock');
+                assert.equal(chainChangeEvents[1].data.block.id, secondBlock.id);
+            });
+
+            it('should trigger a chainChanges event with a removeBlock type for blocks which were replaced', async () => {
+                let tipBlock = liskServiceMock.getBlock(liskServiceMock.chain.height);
+                liskServiceMock.forkFromHeight(tipBlock.height);
+                await adapterModule.processChainChanges();
+
+                assert.equal(chainChangeEvents.length, 2);
+                assert.equal(chainChangeEvents[0].data.type, 'removeBlock');
+                assert.equal(chainChangeEvents[0].data.block.id, tipBlock.id);
+                assert.equal(chainChangeEvents[1].data.type, 'addBlock');
+                assert.equal(chainChangeEvents[1].data.block.height, tipBlock.height);
+                assert.notEqual(chainChangeEvents[1].data.block.id, tipBlock.id);
+            });
+
+            it('should trigger a chainRollback event which lists the orphaned blocks', async () => {
+                let previousTipBlock = liskServiceMock.getBlock(liskServiceMock.chain.height - 1);
+                let tipBlock = liskServiceMock.getBlock(liskServiceMock.chain.height);
+                liskServiceMock.forkFromHeight(previousTipBlock.height, 'rollback');
+                await adapterModule.processChainChanges();
+
+                assert.equal(chainRollbackEvents.length, 1);
+                assert.equal(chainRollbackEvents[0].data.commonHeight, previousTipBlock.height - 1);
+                assert.deepEqual(chainRollbackEvents[0].data.orphanedBlocks.map(({id}) => id), [tipBlock.id, previousTipBlock.id]);
+                assert.equal(chainChangeEvents.filter(({data}) => data.type === 'addBlock').length, 2);
+            });
+
+            describe('with a shallow rollback depth', async () => {
+
+                let maxDepth;
+
+                beforeEach(async () => {
+                    liskServiceMock.addBlock();
+                    liskServiceMock.addBlock();
+                    await adapterModule.processChainChanges();
+                    chainChangeEvents = [];
+                    maxDepth = adapterModule.reorgTracker.maxDepth;
+                    adapterModule.reorgTracker.maxDepth = 3;
+                    adapterModule.reorgTracker.blocks = adapterModule.reorgTracker.blocks.slice(-3);
+                });
+
+                afterEach(() => {
+                    adapterModule.reorgTracker.maxDepth = maxDepth;
+                });
+
+                it('should only replace the orphaned blocks if a fork is within the tracked blocks', async () => {
+                    let tipHeight = liskServiceMock.chain.height;
+                    let commonBlockId = adapterModule.reorgTracker.getBlockId(tipHeight - 2);
+                    liskServiceMock.forkFromHeight(tipHeight - 1, 'shallow');
+                    await adapterModule.processChainChanges();
+
+                    assert.deepEqual(chainChangeEvents.map(({data}) => [data.type, data.block.height]), [
+                        ['removeBlock', tipHeight],
+                        ['removeBlock', tipHeight - 1],
+                        ['addBlock', tipHeight - 1],
+                        ['addBlock', tipHeight],
+                    ]);
+                    assert.equal(chainRollbackEvents[0].data.commonHeight, tipHeight - 2);
+                    assert.equal(adapterModule.reorgTracker.getBlockId(tipHeight - 2), commonBlockId);
+                    assert.equal(adapterModule.reorgTracker.getBlockId(tipHeight), liskServiceMock.getBlockId(tipHeight));
+                });
+
+                it('should roll back every tracked block and add the blocks from the deepest tracked height if a fork is deeper', async () => {
+                    let tipHeight = liskServiceMock.chain.height;
+                    liskServiceMock.forkFromHeight(tipHeight - 5, 'deep');
+                    let newBlock = liskServiceMock.addBlock();
+                    await adapterModule.processChainChanges();
+
+                    let addedBlocks = chainChangeEvents.filter(({data}) => data.type === 'addBlock').map(({data}) => data.block);
+                    assert.deepEqual(chainRollbackEvents[0].data.orphanedBlocks.map(({height}) => height), [tipHeight, tipHeight - 1, tipHeight - 2]);
+                    assert.deepEqual(addedBlocks.map(({height}) => height), [tipHeight - 2, tipHeight - 1, tipHeight, newBlock.height]);
+                    assert.deepEqual(addedBlocks.map(({id}) => id), addedBlocks.map(({height}) => liskServiceMock.getBlockId(height)));
+                    assert.equal(adapterModule.reorgTracker.getLastBlock().id, newBlock.id);
+                });
+
+            });
+
+            it('should not roll back blocks if a service node which lags behind reports a lower tip', async () => {
+                liskServiceMock.addBlock();
+                let tipBlock = liskServiceMock.addBlock();
+                await adapterModule.processChainChanges();
+                chainChangeEvents = [];
+
+                let laggingHeight = tipBlock.height - 2;
+                let {repository} = adapterModule;
+                let getLastBlock = repository.getLastBlock;
+                let getBlockAtHeight = repository.getBlockAtHeight;
+                repository.getLastBlock = async () => getBlockAtHeight.call(repository, laggingHeight);
+                repository.getBlockAtHeight = async (height) => height > laggingHeight ? null : getBlockAtHeight.call(repository, height);
+                try {
+                    await adapterModule.processChainChanges();
+                } finally {
+                    repository.getLastBlock = getLastBlock;
+                    repository.getBlockAtHeight = getBlockAtHeight;
+                }
+
+                assert.equal(chainChangeEvents.length, 0);
+                assert.equal(chainRollbackEvents.length, 0);
+                assert.equal(adapterModule.reorgTracker.getLastBlock().id, tipBlock.id);
+
+                let newBlock = liskServiceMock.addBlock();
+                await adapterModule.processChainChanges();
+
+                assert.equal(chainRollbackEvents.length, 0);
+                assert.deepEqual(chainChangeEvents.map(({data}) => [data.type, data.block.id]), [['addBlock', newBlock.id]]);
+            });
+
+            it('should roll back blocks which were replaced while new blocks were being read', async () => {
+                let tipBlock = liskServiceMock.getBlock(liskServiceMock.chain.height);
+                let newBlock = liskServiceMock.addBlock();
+                let getBlocksBetweenHeights = adapterModule.repository.getBlocksBetweenHeights;
+                adapterModule.repository.getBlocksBetweenHeights = async (...args) => {
+                    adapterModule.repository.getBlocksBetweenHeights = getBlocksBetweenHeights;
+                    liskServiceMock.forkFromHeight(tipBlock.height, 'concurrent');
+                    return getBlocksBetweenHeights.apply(adapterModule.repository, args);
+                };
+                await adapterModule.processChainChanges();
+
+                let addedBlocks = chainChangeEvents.filter(({data}) => data.type === 'addBlock').map(({data}) => data.block);
+                assert.equal(chainRollbackEvents.length, 1);
+                assert.deepEqual(chainRollbackEvents[0].data.orphanedBlocks.map(({id}) => id), [tipBlock.id]);
+                assert.deepEqual(addedBlocks.map(({height}) => height), [tipBlock.height, newBlock.height]);
+                assert.notEqual(addedBlocks[0].id, tipBlock.id);
+                assert.equal(addedBlocks[1].previousBlockID, addedBlocks[0].id);
+                assert.equal(adapterModule.reorgTracker.getBlockId(newBlock.height), addedBlocks[1].id);
+            });
+
+            it('should trigger a multisigMembersChanged event if the DEX wallet membership changed on-chain', async () => {
+                let account = liskServiceMock.accounts[dexWalletAddress];
+                let originalNumberOfSignatures = account.numberOfSignatures;
+                account.numberOfSignatures = originalNumberOfSignatures + 1;
+                liskServiceMock.addBlock();
+                await adapterModule.processChainChanges();
+
+                assert.equal(multisigMembersChangedEvents.length, 1);
+                assert.equal(multisigMembersChangedEvents[0].data.walletAddress, dexWalletAddress);
+                assert.equal(multisigMembersChangedEvents[0].data.numberOfSignatures, originalNumberOfSignatures + 1);
+                assert.equal(multisigMembersChangedEvents[0].data.memberAddresses.length, 8);
+                assert.equal(adapterModule.dexWallets[dexWalletAddress].multisig.numberOfSignatures, originalNumberOfSignatures + 1);
+
+                account.numberOfSignatures = originalNumberOfSignatures;
+                await adapterModule.refreshDEXMultisig();
+                assert.equal(adapterModule.dexWallets[dexWalletAddress].multisig.numberOfSignatures, originalNumberOfSignatures);
+            });
+
+            it('should not trigger a multisigMembersChanged event if the DEX wallet membership did not change', async () => {
+                liskServiceMock.addBlock();
+                await adapterModule.processChainChanges();
+                assert.equal(multisigMembersChangedEvents.length, 0);
+            });
 
-        it('should trigger bootstrap event after launch', async () => {
-            assert(bootstrapEventTriggered);
         });
 
     });
@@ -0,0 +1,287 @@
+const assert = require('assert');
+const {cryptography: liskCryptography} = require('@liskhq/lisk-client');
+
+const LiskCoreMock = require('./utils/lisk-core');
+const LiskServiceMock = require('./utils/lisk-service');
+const {createTestAdapter, createTestChannel} = require('./utils/adapter');
+const LiskCoreRepository = require('../lisk-core/repository');
+const LiskServiceRepository = require('../lisk-service/repository');
+const liskServiceFixtures = require('./fixtures/lisk-service.json');
+const {computeDEXTransactionId} = require('../common/utils');
+
+describe('Lisk Core repository tests', async () => {
+    let liskCoreMock;
+    let liskServiceMock;
+    let coreRepository;
+    let serviceRepository;
+
+    let {chain} = liskServiceFixtures;
+    let getTimestamp = (height) => chain.genesisTimestamp + (height - chain.genesisHeight) * chain.blockTime;
+    let senderWalletAddress = 'lsk5eyah7pnq92kgscrnd8mn5kputpn74p5qfvdsm';
+    let recipientWalletAddress = 'lskdfgve6v7h7x3mn84c39m9esmjabtj5yv9j9hzk';
+
+    before(async () => {
+        liskCoreMock = new LiskCoreMock(liskServiceFixtures);
+        liskServiceMock = new LiskServiceMock(liskServiceFixtures);
+        await liskCoreMock.start();
+        await liskServiceMock.start();
+        coreRepository = new LiskCoreRepository({config: {coreRPCURL: liskCoreMock.rpcURL}});
+        serviceRepository = new LiskServiceRepository({config: {serviceURL: liskServiceMock.url}});
+    });
+
+    after(async () => {
+        await liskCoreMock.stop();
+        await liskServiceMock.stop();
+    });
+
+    describe('blocks', async () => {
+
+        it('should return the same blocks between heights as the Lisk Service repository', async () => {
+            let coreBlocks = await coreRepository.getBlocksBetweenHeights(23476950, 23476960, 5);
+            let serviceBlocks = await serviceRepository.getBlocksBetweenHeights(23476950, 23476960, 5);
+
+            assert.deepEqual(coreBlocks.map(({id, height}) => ({id, height})), serviceBlocks.map(({id, height}) => ({id, height})));
+            assert.deepEqual(coreBlocks.map(({height}) => height), [23476951, 23476952, 23476953, 23476954]);
+            assert.equal(coreBlocks[0].id, chain.blockIDs['23476951']);
+        });
+
+        it('should return as many blocks as the Lisk Service repository if no limit is specified', async () => {
+            let coreBlocks = await coreRepository.getBlocksBetweenHeights(23476000, 23476500);
+            let serviceBlocks = await serviceRepository.getBlocksBetweenHeights(23476000, 23476500);
+
+            assert.equal(serviceBlocks.length, 99);
+            assert.deepEqual(coreBlocks.map(({id}) => id), serviceBlocks.map(({id}) => id));
+        });
+
+        it('should get a block by height and by ID', async () => {
+            let blockAtHeight = await coreRepository.getBlockAtHeight(23476951);
+            let blockById = await coreRepository.getBlockById(chain.blockIDs['23476951']);
+
+            assert.equal(blockAtHeight.id, chain.blockIDs['23476951']);
+            assert.equal(blockById.height, 23476951);
+            assert.equal(blockById.previousBlockID, (await serviceRepository.getBlockAtHeight(23476950)).id);
+        });
+
+        it('should return null if a block does not exist', async () => {
+            assert.equal(await coreRepository.getBlockAtHeight(chain.height + 10), null);
+            assert.equal(await coreRepository.getBlockById('0'.repeat(64)), null);
+        });
+
+    });
+
+    describe('network status', async () => {
+
+        it('should probe the same network status as the Lisk Service repository', async () => {
+            let coreStatus = await coreRepository.probeNetworkStatus(1000);
+            let serviceStatus = await serviceRepository.probeNetworkStatus(1000);
+
+            assert.equal(coreStatus.data.height, serviceStatus.data.height);
+            assert.equal(coreStatus.data.finalizedHeight, serviceStatus.data.finalizedHeight);
+        });
+
+    });
+
+    describe('transactions', async () => {
+
+        it('should return the same outbound transactions as the Lisk Service repository if no limit is specified', async () => {
+            let fromTimestamp = getTimestamp(23468300);
+            let coreTransactions = await coreRepository.getOutboundTransactions(senderWalletAddress, fromTimestamp, undefined, 'asc', '0000000000000000');
+            let serviceTransactions = await serviceRepository.getOutboundTransactions(senderWalletAddress, fromTimestamp, undefined, 'asc', '0000000000000000');
+
+            assert.equal(coreTransactions.length, 3);
+            assert.deepEqual(coreTransactions.map(({id}) => id), serviceTransactions.map(({id}) => id));
+            assert.deepEqual(coreTransactions[0].params, serviceTransactions[0].params);
+            assert.equal(coreTransactions[0].sender.address, senderWalletAddress);
+        });
+
+        it('should return the same outbound transactions as the Lisk Service repository if the first match is more than coreMaxScanBlocks blocks away', async () => {
+            let repository = new LiskCoreRepository({config: {coreRPCURL: liskCoreMock.rpcURL, coreMaxScanBlocks: 100}});
+            let ascTimestamp = getTimestamp(23468000);
+            let descTimestamp = getTimestamp(23476900);
+            let coreAscTransactions = await repository.getOutboundTransactions(senderWalletAddress, ascTimestamp, 2, 'asc', '0000000000000000');
+            let serviceAscTransactions = await serviceRepository.getOutboundTransactions(senderWalletAddress, ascTimestamp, 2, 'asc', '0000000000000000');
+            let coreDescTransactions = await repository.getOutboundTransactions(senderWalletAddress, descTimestamp, 2, 'desc', '0000000000000000');
+            let serviceDescTransactions = await serviceRepository.getOutboundTransactions(senderWalletAddress, descTimestamp, 2, 'desc', '0000000000000000');
+
+            assert.deepEqual(coreAscTransactions.map(({block}) => block.height), [23468355, 23468482]);
+            assert.deepEqual(coreAscTransactions.map(({id}) => id), serviceAscTransactions.map(({id}) => id));
+            assert.deepEqual(coreDescTransactions.map(({block}) => block.height), [23468482, 23468355]);
+            assert.deepEqual(coreDescTransactions.map(({id}) => id), serviceDescTransactions.map(({id}) => id));
+        });
+
+        it('should return the same inbound transactions from a block as the Lisk Service repository', async () => {
+            let blockId = chain.blockIDs['23476951'];
+            let coreTransactions = await coreRepository.getInboundTransactionsFromBlock(recipientWalletAddress, blockId, '0000000000000000');
+            let serviceTransactions = await serviceRepository.getInboundTransactionsFromBlock(recipientWalletAddress, blockId, '0000000000000000');
+
+            assert.equal(coreTransactions.length, 1);
+            assert.deepEqual(coreTransactions.map(({id}) => id).sort(), serviceTransactions.map(({id}) => id).sort());
+        });
+
+        it('should return the same inbound transactions between heights as the Lisk Service repository', async () => {
+            let coreTransactions = await coreRepository.getInboundTransactionsBetweenHeights(recipientWalletAddress, 23468000, 23477000, '0000000000000000');
+            let serviceTransactions = await serviceRepository.getInboundTransactionsBetweenHeights(recipientWalletAddress, 23468000, 23477000, '0000000000000000');
+
+            assert.equal(coreTransactions.length, 3);
+            assert.deepEqual(coreTransactions.map(({id}) => id).sort(), serviceTransactions.map(({id}) => id).sort());
+        });
+
+    });
+
+    describe('chain symbol', async () => {
+
+        let toChainAddress = (address, chainSymbol) => liskCryptography.address.getLisk32AddressFromAddress(
+            liskCryptography.address.getAddressFromLisk32Address(address),
+            chainSymbol
+        );
+
+        it('should encode the sender and recipient addresses with the configured chain symbol', async () => {
+            let repository = new LiskCoreRepository({config: {coreRPCURL: liskCoreMock.rpcURL, chainSymbol: 'tst'}});
+            let senderAddress = toChainAddress(senderWalletAddress, 'tst');
+            let transactions = await repository.getOutboundTransactionsBetweenHeights(senderAddress, 23468000, 23477000, '0000000000000000');
+            let serviceTransactions = await serviceRepository.getOutboundTransactionsBetweenHeights(senderWalletAddress, 23468000, 23477000, '0000000000000000');
+
+            assert.equal(transactions.length, serviceTransactions.length);
+            assert(transactions.length > 0);
+            for (let [index, transaction] of transactions.entries()) {
+                assert.equal(transaction.sender.address, senderAddress);
+                assert.equal(transaction.params.recipientAddress, toChainAddress(serviceTransactions[index].params.recipientAddress, 'tst'));
+            }
+        });
+
+    });
+
+    describe('WebSocket transport', async () => {
+
+        let createWsRepository = (invoke) => {
+            let repository = new LiskCoreRepository({config: {coreRPCURL: 'ws://127.0.0.1:1/rpc-ws'}});
+            repository.wsClient = Promise.resolve({invoke});
+            return repository;
+        };
+
+        it('should handle RPC errors over WebSocket like RPC errors over HTTP', async () => {
+            let repository = createWsRepository(async () => {
+                throw new Error('Block with id 00 does not exist');
+            });
+            assert.equal(await repository.getBlockById('0'.repeat(64)), null);
+        });
+
+        it('should not treat a WebSocket transport failure as an RPC error', async () => {
+            let repository = createWsRepository(async () => {
+                throw new Error('Response not received in 3000ms');
+            });
+            let caughtError = null;
+            try {
+                await repository.getBlockById('0'.repeat(64));
+            } catch (error) {
+                caughtError = error;
+            }
+            assert.notEqual(caughtError, null);
+            assert.equal(caughtError.message, 'Response not received in 3000ms');
+        });
+
+    });
+
+    describe('transaction execution status', async () => {
+
+        it('should report whether a transaction in a block was executed successfully', async () => {
+            let failedTransaction = await coreRepository.getTransactionBySenderAndNonce(liskServiceFixtures.members[5].address, '0');
+            let successfulTransaction = await coreRepository.getTransactionBySenderAndNonce(senderWalletAddress, '2');
+
+            assert.equal(failedTransaction.executionStatus, 'failed');
+            assert.equal(failedTransaction.block.height, 23476970);
+            assert.equal(successfulTransaction.executionStatus, 'successful');
+        });
+
+    });
+
+    describe('accounts', async () => {
+
+        it('should return the same multisig account as the Lisk Service repository', async () => {
+            let coreAuth = await coreRepository.getAuth('lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2');
+            let serviceAuth = await serviceRepository.getAuth('lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2');
+
+            assert.deepEqual(coreAuth, serviceAuth);
+            assert.equal(coreAuth.numberOfSignatures, 4);
+        });
+
+        it('should return the same token balance as the Lisk Service repository', async () => {
+            let coreBalance = await coreRepository.getTokenBalance(senderWalletAddress, '0000000000000000');
+            let serviceBalance = await serviceRepository.getTokenBalance(senderWalletAddress, '0000000000000000');
+
+            assert.deepEqual(coreBalance, serviceBalance);
+        });
+
+    });
+
+    describe('adapter with the Lisk Core backend', async () => {
+
+        let adapterModule;
+
+        before(async () => {
+            adapterModule = createTestAdapter({
+                dexWalletAddress: 'lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2',
+                backend: 'liskCore',
+                coreRPCURL: liskCoreMock.rpcURL,
+            });
+            await adapterModule.load(createTestChannel());
+        });
+
+        after(async () => {
+            await adapterModule.unload();
+        });
+
+        it('should post a signed transaction to the Lisk Core node', async () => {
+            let {address: senderAddress, publicKey: senderPublicKey} = liskServiceFixtures.dexWallet;
+            let transaction = {
+                id: computeDEXTransactionId(senderAddress, '1'),
+                message: 'market payout',
+                amount: '10000000',
+                senderAddress,
+                recipientAddress: recipientWalletAddress,
+                fee: '700000',
+                nonce: '1',
+                senderPublicKey,
+            };
+            let signatures = [];
+            for (let {passphrase} of liskServiceFixtures.members.slice(0, 4)) {
+                signatures.push(await adapterModule.actions.signTransaction.handler({params: {transaction, passphrase}}));
+            }
+            let result = await adapterModule.actions.postTransaction.handler({params: {transaction: {...transaction, signatures}}});
+            let status = await adapterModule.actions.getTransactionStatus.handler({params: {walletAddress: senderAddress, nonce: '1'}});
+
+            assert.equal(result.id, transaction.id);
+            assert.equal(liskCoreMock.pendingTransactions.length, 1);
+            assert.equal(liskCoreMock.pendingTransactions[0].id, result.transactionID);
+            assert.equal(status.status, 'pending');
+        });
+
+        it('should not report an included transaction as expired if its block is older than the scanned blocks', async () => {
+            let {maxScanBlocks} = adapterModule.repository;
+            adapterModule.repository.maxScanBlocks = 100;
+            let caughtErrors = [];
+            try {
+                for (let nonce of ['0', '1']) {
+                    try {
+                        await adapterModule.actions.getTransactionStatus.handler({params: {walletAddress: senderWalletAddress, nonce}});
+                    } catch (error) {
+                        caughtErrors.push(error);
+                    }
+                }
+            } finally {
+                adapterModule.repository.maxScanBlocks = maxScanBlocks;
+            }
+
+            assert.equal(caughtErrors.length, 2);
+            for (let error of caughtErrors) {
+                assert.equal(error.type, 'InvalidActionError');
+                assert.equal(error.name, 'TransactionDidNotExistError');
+            }
+            let status = await adapterModule.actions.getTransactionStatus.handler({params: {walletAddress: senderWalletAddress, nonce: '0'}});
+            assert.equal(status.status, 'included');
+            assert.equal(status.height, 23468355);
+        });
+
+    });
+
+});
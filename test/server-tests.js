@@ -0,0 +1,148 @@
+const assert = require('assert');
+const axios = require('axios');
+const WebSocket = require('ws');
+
+const DEXAdapterServer = require('../server');
+const LiskServiceMock = require('./utils/lisk-service');
+const {createTestAdapter} = require('./utils/adapter');
+const liskServiceFixtures = require('./fixtures/lisk-service.json');
+const {computeDEXTransactionId} = require('../common/utils');
+
+describe('DEX adapter server tests', async () => {
+    let liskServiceMock;
+    let adapterModule;
+    let server;
+
+    let callRPC = (body) => axios.post(`${server.url}/rpc`, body, {validateStatus: () => true});
+
+    before(async () => {
+        liskServiceMock = new LiskServiceMock(liskServiceFixtures);
+        await liskServiceMock.start();
+
+        adapterModule = createTestAdapter({
+            dexWalletAddress: 'lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2',
+            serviceURL: liskServiceMock.url,
+        });
+
+        server = new DEXAdapterServer({
+            adapter: adapterModule,
+            config: {
+                port: 0,
+            },
+        });
+        await server.start();
+    });
+
+    after(async () => {
+        await server.stop();
+        await liskServiceMock.stop();
+    });
+
+    describe('JSON-RPC over HTTP', async () => {
+
+        it('should expose adapter actions as JSON-RPC methods', async () => {
+            let response = await callRPC({jsonrpc: '2.0', id: 1, method: 'getMinMultisigRequiredSignatures', params: {walletAddress: 'lskxag5rfo2cvetqu8637a6ohhbc7o2xe5tuuepg2'}});
+            assert.equal(response.status, 200);
+            assert.equal(response.data.jsonrpc, '2.0');
+            assert.equal(response.data.id, 1);
+            assert.equal(response.data.result, 4);
+        });
+
+        it('should map an InvalidActionError to a structured error', async () => {
+            let response = await callRPC({jsonrpc: '2.0', id: 'a', method: 'getBlockAtHeight', params: {height: 1}});
+            assert.equal(response.data.id, 'a');
+            assert.equal(response.data.error.code, -32004);
+            assert.equal(response.data.error.data.name, 'BlockDidNotExistError');
+            assert.equal(typeof response.data.error.message, 'string');
+        });
+
+        it('should respond with a method not found error if the action does not exist', async () => {
+            let response = await callRPC({jsonrpc: '2.0', id: 2, method: 'load'});
+            assert.equal(response.data.error.code, -32601);
+        });
+
+        it('should not expose actions which take secrets by default', async () => {
+            let response = await callRPC({jsonrpc: '2.0', id: 4, method: 'signTransaction', params: {transaction: {}, passphrase: liskServiceFixtures.members[0].passphrase}});
+            assert.equal(response.data.error.code, -32601);
+        });
+
+        it('should expose actions which take secrets if they are explicitly enabled', async () => {
+            let signingServer = new DEXAdapterServer({
+                adapter: adapterModule,
+                config: {
+                    exposeSecretActions: true,
+                },
+            });
+            let [signer] = liskServiceFixtures.members;
+            let {address: senderAddress, publicKey: senderPublicKey} = liskServiceFixtures.dexWallet;
+            let transaction = {
+                id: computeDEXTransactionId(senderAddress, '1'),
+                message: '',
+                amount: '10000000',
+                senderAddress,
+                recipientAddress: 'lskdfgve6v7h7x3mn84c39m9esmjabtj5yv9j9hzk',
+                fee: '700000',
+                nonce: '1',
+                senderPublicKey,
+            };
+            let response = await signingServer.handleRPCRequest({jsonrpc: '2.0', id: 5, method: 'signTransaction', params: {transaction, passphrase: signer.passphrase}});
+            assert.equal(response.id, 5);
+            assert.equal(response.result.signerAddress, signer.address);
+        });
+
+        it('should respond with an invalid request error if the request is malformed', async () => {
+            let response = await callRPC({id: 3, method: 'getMaxBlockHeight'});
+            assert.equal(response.data.error.code, -32600);
+        });
+
+        it('should respond with a parse error if the body is not valid JSON', async () => {
+            let response = await axios.post(`${server.url}/rpc`, '{', {
+                headers: {'Content-Type': 'application/json'},
+                transformRequest: [(data) => data],
+                validateStatus: () => true,
+            });
+            assert.equal(response.data.error.code, -32700);
+            assert.equal(response.data.id, null);
+        });
+
+        it('should handle batch requests and not respond to notifications', async () => {
+            let response = await callRPC([
+                {jsonrpc: '2.0', id: 1, method: 'getMaxBlockHeight'},
+                {jsonrpc: '2.0', method: 'getMaxBlockHeight'},
+                {jsonrpc: '2.0', id: 2, method: 'getFinalizedBlockHeight'},
+            ]);
+            assert.equal(response.data.length, 2);
+            let maxHeight = response.data.find(({id}) => id === 1).result;
+            let finalizedHeight = response.data.find(({id}) => id === 2).result;
+            assert(Number.isInteger(maxHeight));
+            assert(finalizedHeight <= maxHeight);
+        });
+
+    });
+
+    describe('WebSocket events', async () => {
+
+        it('should push chain changes to WebSocket clients as JSON-RPC notifications', async () => {
+            let socket = new WebSocket(`${server.url.replace('http', 'ws')}/ws`);
+            await new Promise((resolve, reject) => {
+                socket.once('open', resolve);
+                socket.once('error', reject);
+            });
+            let notificationPromise = new Promise((resolve) => {
+                socket.on('message', (message) => resolve(JSON.parse(message.toString())));
+            });
+
+            let block = liskServiceMock.addBlock();
+            await adapterModule.processChainChanges();
+            let notification = await notificationPromise;
+            socket.close();
+
+            assert.equal(notification.jsonrpc, '2.0');
+            assert.equal(notification.method, `${adapterModule.alias}:chainChanges`);
+            assert.equal(notification.params.type, 'addBlock');
+            assert.equal(notification.params.block.id, block.id);
+        });
+
+    });
+
+});
@@ -0,0 +1,38 @@
+const LiskV3DEXAdapterModule = require('../../index');
+const Channel = require('./channel');
+const AppModuleMock = require('./app');
+
+// Only errors are printed; warnings are expected when tests make the service fail on purpose.
+const testLogger = {
+    info: () => {
+    },
+    debug: () => {
+    },
+    warn: () => {
+    },
+    error: (...args) => console.error.apply(console, args),
+};
+
+/**
+ * Creates an adapter which retries quickly and whose block watcher does not poll on its own within a test;
+ * tests call processChainChanges to pick up new blocks instead.
+ */
+const createTestAdapter = (config) => new LiskV3DEXAdapterModule({
+    config: {
+        retryBaseDelay: 10,
+        blockPollInterval: 100000,
+        ...config,
+    },
+    logger: testLogger,
+});
+
+const createTestChannel = () => new Channel({
+    modules: {
+        app: new AppModuleMock(),
+    },
+});
+
+module.exports = {
+    createTestAdapter,
+    createTestChannel,
+};
@@ -0,0 +1,174 @@
+const {codec: {codec: liskCodec}} = require('@liskhq/lisk-client');
+
+const LiskServiceMock = require('./lisk-service');
+const {ccmProcessedEventDataSchema, commandExecutionResultEventDataSchema, transactionParamsSchemas} = require('../../liskv3/schemas');
+
+// Address of the generator of every block; Lisk Core only exposes it as part of the block header.
+const GENERATOR_ADDRESS = 'lskbvykmaexgx6xqarus2ndy3t639wrcbo6tpcewg';
+
+class RPCError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+/**
+ * Local stand-in for the subset of the Lisk Core v4 JSON-RPC API which is used by the adapter. It serves the
+ * same chain as LiskServiceMock (refer to lisk-service.js) so that both backends can be checked against the same data.
+ */
+class LiskCoreMock extends LiskServiceMock {
+    get rpcURL() {
+        return `${this.url}/rpc`;
+    }
+
+    toRawTransaction(transaction) {
+        const [module, command] = transaction.moduleCommand.split(':');
+        return {
+            id: transaction.id,
+            module,
+            command,
+            nonce: transaction.nonce,
+            fee: transaction.fee,
+            senderPublicKey: transaction.senderPublicKey,
+            params: liskCodec.encodeJSON(transactionParamsSchemas[transaction.moduleCommand], transaction.params).toString('hex'),
+            signatures: transaction.signatures,
+        };
+    }
+
+    getRawBlock(height) {
+        const block = this.getBlock(height);
+        if (!block) {
+            return null;
+        }
+        return {
+            header: {
+                id: block.id,
+                height: block.height,
+                timestamp: block.timestamp,
+                previousBlockID: block.previousBlockID,
+                generatorAddress: GENERATOR_ADDRESS,
+            },
+            transactions: this.transactions
+                .filter((transaction) => transaction.height === height)
+                .map((transaction) => this.toRawTransaction(transaction)),
+        };
+    }
+
+    getBlocksByHeightBetween({from, to}) {
+        let blocks = [];
+        // Lisk Core returns the blocks from the highest to the lowest.
+        for (let height = Math.min(to, this.chain.height); height >= Math.max(from, this.chain.genesisHeight); height--) {
+            blocks.push(this.getRawBlock(height));
+        }
+        return blocks;
+    }
+
+    getBlockByID({id}) {
+        const height = this.getBlockHeightById(id);
+        if (height == null) {
+            throw new RPCError(-32603, `Block with id ${id} does not exist`);
+        }
+        return this.getRawBlock(height);
+    }
+
+    getRawEvents({height}) {
+        if (height > this.chain.height) {
+            return [];
+        }
+        const events = this.events
+            .filter((event) => event.height === height)
+            .map(({height, data, ...event}) => ({
+                ...event,
+                height,
+                data: event.module === 'interoperability' && event.name === 'ccmProcessed'
+                    ? liskCodec.encodeJSON(ccmProcessedEventDataSchema, data).toString('hex')
+                    : data,
+            }));
+        // Every transaction emits the result of its execution.
+        const executionResultEvents = this.transactions
+            .filter((transaction) => transaction.height === height)
+            .map((transaction) => ({
+                module: transaction.moduleCommand.split(':')[0],
+                name: 'commandExecutionResult',
+                height,
+                topics: [transaction.id],
+                data: liskCodec.encode(commandExecutionResultEventDataSchema, {success: transaction.executionStatus !== 'failed'}).toString('hex'),
+            }));
+        return [...events, ...executionResultEvents];
+    }
+
+    getTransactionsFromPool({address}) {
+        return this.pendingTransactions
+            .filter((transaction) => !address || transaction.senderAddress === address)
+            .map((transaction) => this.toRawTransaction(transaction));
+    }
+
+    getBalance({address, tokenID}) {
+        const balance = (this.balances[address] || []).find((balance) => balance.tokenID === tokenID);
+        return balance
+            ? {availableBalance: balance.availableBalance, lockedBalances: balance.lockedBalances}
+            : {availableBalance: '0', lockedBalances: []};
+    }
+
+    invoke(method, params) {
+        if (method === 'system_getNodeInfo') {
+            return this.getNetworkStatus().data;
+        }
+        if (method === 'chain_getLastBlock') {
+            return this.getRawBlock(this.chain.height);
+        }
+        if (method === 'chain_getBlocksByHeightBetween') {
+            return this.getBlocksByHeightBetween(params);
+        }
+        if (method === 'chain_getBlockByID') {
+            return this.getBlockByID(params);
+        }
+        if (method === 'chain_getEvents') {
+            return this.getRawEvents(params);
+        }
+        if (method === 'auth_getAuthAccount') {
+            return this.getAuth(params).data;
+        }
+        if (method === 'token_getBalance') {
+            return this.getBalance(params);
+        }
+        if (method === 'fee_getMinFeePerByte') {
+            return {minFeePerByte: this.fees.minFeePerByte};
+        }
+        if (method === 'fee_getFeeTokenID') {
+            return {tokenID: this.fees.feeTokenID};
+        }
+        if (method === 'txpool_getTransactionsFromPool') {
+            return this.getTransactionsFromPool(params);
+        }
+        if (method === 'txpool_postTransaction') {
+            return {transactionId: this.postTransaction(params).transactionID};
+        }
+        if (method === 'txpool_dryRunTransaction') {
+            return this.dryRunTransaction(params).data;
+        }
+        throw new RPCError(-32601, `Method ${method} not found`);
+    }
+
+    handleRequest(req, res) {
+        let rawBody = '';
+        req.on('data', (chunk) => {
+            rawBody += chunk;
+        });
+        req.on('end', () => {
+            const {id, method, params = {}} = JSON.parse(rawBody);
+            this.receivedRequests.push({method: 'POST', pathname: method, query: params});
+            let response;
+            try {
+                response = {jsonrpc: '2.0', id, result: this.invoke(method, params)};
+            } catch (err) {
+                response = {jsonrpc: '2.0', id, error: {code: err.code || -32603, message: err.message}};
+            }
+            res.writeHead(200, {'Content-Type': 'application/json'});
+            res.end(JSON.stringify(response));
+        });
+    }
+}
+
+module.exports = LiskCoreMock;
@@ -0,0 +1,408 @@
+const http = require('http');
+const crypto = require('crypto');
+const url = require('url');
+
+const {
+  cryptography: liskCryptography,
+  codec: {codec: liskCodec},
+  transactions: liskTransactions
+} = require('@liskhq/lisk-client');
+
+const {transactionParamsSchemas} = require('../../liskv3/schemas');
+
+const hash = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const isValidAddress = (address) => {
+    try {
+        liskCryptography.address.validateLisk32Address(address);
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+// Parses interval filters such as 100:200, 100: or :200.
+const parseInterval = (value) => {
+    const [from, to] = String(value).split(':');
+    return {
+        from: from === '' || from == null ? -Infinity : Number(from),
+        to: to === '' || to == null ? (String(value).includes(':') ? Infinity : Number(from)) : Number(to),
+    };
+};
+
+const inInterval = (value, interval) => value >= interval.from && value <= interval.to;
+
+const sortBy = (items, sort, defaultSort) => {
+    const [key, direction] = (sort || defaultSort).split(':');
+    const sign = direction === 'asc' ? 1 : -1;
+    return items.sort((a, b) => sign * (Number(a[key]) - Number(b[key])));
+};
+
+const MAX_LIMIT = 100;
+
+class BadRequestError extends Error {}
+
+const parseLimit = (limit = 10) => {
+    if (Number(limit) > MAX_LIMIT) {
+        throw new BadRequestError(`Limit must be lower than or equal to ${MAX_LIMIT}`);
+    }
+    return Number(limit);
+};
+
+/**
+ * Local stand-in for the subset of the Lisk Service v3 HTTP API which is used by the adapter.
+ * The chain is generated from the fixture's chain settings; blocks can be added or replaced by tests.
+ */
+class LiskServiceMock {
+    constructor(fixtures) {
+        this.chain = {...fixtures.chain, blockIDs: {...fixtures.chain.blockIDs}};
+        this.fees = {...fixtures.fees};
+        this.accounts = JSON.parse(JSON.stringify(fixtures.accounts));
+        this.balances = JSON.parse(JSON.stringify(fixtures.balances));
+        this.transactions = fixtures.transactions.map((transaction) => ({...transaction}));
+        this.events = fixtures.events.map((event) => ({...event}));
+        this.pendingTransactions = [];
+        this.failures = [];
+        this.receivedRequests = [];
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    }
+
+    get url() {
+        return `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    async start(port = 0) {
+        await new Promise((resolve) => this.server.listen(port, '127.0.0.1', resolve));
+    }
+
+    async stop() {
+        await new Promise((resolve) => this.server.close(resolve));
+    }
+
+    /**
+     * Makes the next requests (optionally only those with the given HTTP method) fail with the given status and headers.
+     */
+    failNextRequests(count, status, headers = {}, method = null) {
+        for (let i = 0; i < count; i++) {
+            this.failures.push({status, headers, method});
+        }
+    }
+
+    getBlockId(height) {
+        return this.chain.blockIDs[height] || hash(`block-${height}`);
+    }
+
+    getBlock(height) {
+        if (height < this.chain.genesisHeight || height > this.chain.height) {
+            return null;
+        }
+        return {
+            id: this.getBlockId(height),
+            height,
+            timestamp: this.chain.genesisTimestamp + (height - this.chain.genesisHeight) * this.chain.blockTime,
+            previousBlockID: height > this.chain.genesisHeight ? this.getBlockId(height - 1) : '',
+            numberOfTransactions: this.transactions.filter((transaction) => transaction.height === height).length,
+        };
+    }
+
+    getBlockHeightById(blockId) {
+        const overriddenHeight = Object.keys(this.chain.blockIDs).find((height) => this.chain.blockIDs[height] === blockId);
+        if (overriddenHeight != null) {
+            return Number(overriddenHeight);
+        }
+        // Generated block IDs can only be resolved by scanning the chain.
+        for (let height = this.chain.height; height >= this.chain.genesisHeight; height--) {
+            if (!this.chain.blockIDs[height] && hash(`block-${height}`) === blockId) {
+                return height;
+            }
+        }
+        return null;
+    }
+
+    toServiceTransaction(transaction) {
+        const block = this.getBlock(transaction.height);
+        return {
+            id: transaction.id,
+            moduleCommand: transaction.moduleCommand,
+            nonce: transaction.nonce,
+            fee: transaction.fee,
+            sender: {
+                address: transaction.senderAddress,
+                publicKey: transaction.senderPublicKey,
+            },
+            params: transaction.params,
+            block: block ? {id: block.id, height: block.height, timestamp: block.timestamp} : undefined,
+            executionStatus: transaction.executionStatus,
+            signatures: transaction.signatures,
+        };
+    }
+
+    /**
+     * Appends a block to the chain; transactions which are pending are included in it.
+     */
+    addBlock() {
+        this.chain.height++;
+        this.chain.finalizedHeight++;
+        for (let transaction of this.pendingTransactions) {
+            this.transactions.push({...transaction, height: this.chain.height, executionStatus: 'successful'});
+        }
+        this.pendingTransactions = [];
+        return this.getBlock(this.chain.height);
+    }
+
+    /**
+     * Replaces the block at the given height and all the blocks above it to simulate a fork.
+     */
+    forkFromHeight(height, seed = 'fork') {
+        for (let forkHeight = height; forkHeight <= this.chain.height; forkHeight++) {
+            this.chain.blockIDs[forkHeight] = hash(`${seed}-block-${forkHeight}`);
+        }
+    }
+
+    paginate(items, {limit, offset = 0}) {
+        const data = items.slice(Number(offset), Number(offset) + parseLimit(limit));
+        return {data, meta: {count: data.length, offset: Number(offset), total: items.length}};
+    }
+
+    getBlocks(query) {
+        let blocks = [];
+        if (query.blockID) {
+            const height = this.getBlockHeightById(query.blockID);
+            blocks = height == null ? [] : [this.getBlock(height)];
+        } else {
+            const interval = query.height ? parseInterval(query.height) : {from: -Infinity, to: Infinity};
+            const fromHeight = Math.max(interval.from, this.chain.genesisHeight);
+            const toHeight = Math.min(interval.to, this.chain.height);
+            const limit = parseLimit(query.limit);
+            const offset = Number(query.offset || 0);
+            const isAscending = query.sort === 'height:asc';
+            // Only generate the blocks which are part of the requested page.
+            for (let i = offset; i < offset + limit && i <= toHeight - fromHeight; i++) {
+                blocks.push(this.getBlock(isAscending ? fromHeight + i : toHeight - i));
+            }
+            return {data: blocks, meta: {count: blocks.length, offset, total: Math.max(toHeight - fromHeight + 1, 0)}};
+        }
+        return this.paginate(blocks, query);
+    }
+
+    getTransactions(query) {
+        for (let addressFilter of ['senderAddress', 'recipientAddress']) {
+            if (query[addressFilter] && !isValidAddress(query[addressFilter])) {
+                throw new BadRequestError(`Invalid ${addressFilter} ${query[addressFilter]}`);
+            }
+        }
+        const executionStatuses = (query.executionStatus || 'successful,failed').split(',');
+        const blockHeight = query.blockID ? this.getBlockHeightById(query.blockID) : null;
+        const timestampInterval = query.timestamp ? parseInterval(query.timestamp) : null;
+        const heightInterval = query.height ? parseInterval(query.height) : null;
+
+        let transactions = [
+            ...this.transactions,
+            ...this.pendingTransactions,
+        ]
+            .filter((transaction) => executionStatuses.includes(transaction.executionStatus))
+            .filter((transaction) => transaction.executionStatus === 'pending' || transaction.height <= this.chain.height)
+            .map((transaction) => this.toServiceTransaction(transaction))
+            .filter((transaction) =>
+                (!query.transactionID || transaction.id === query.transactionID) &&
+                (!query.moduleCommand || transaction.moduleCommand === query.moduleCommand) &&
+                (!query.senderAddress || transaction.sender.address === query.senderAddress) &&
+                (!query.recipientAddress || transaction.params.recipientAddress === query.recipientAddress) &&
+                (query.nonce == null || transaction.nonce === String(query.nonce)) &&
+                (!query.blockID || (transaction.block && transaction.block.height === blockHeight)) &&
+                (!timestampInterval || (transaction.block && inInterval(transaction.block.timestamp, timestampInterval))) &&
+                (!heightInterval || (transaction.block && inInterval(transaction.block.height, heightInterval)))
+            );
+
+        transactions = transactions.map((transaction) => ({
+            ...transaction,
+            timestamp: transaction.block ? transaction.block.timestamp : Infinity,
+            height: transaction.block ? transaction.block.height : Infinity,
+        }));
+        sortBy(transactions, query.sort, 'timestamp:desc');
+        return this.paginate(transactions.map(({timestamp, height, ...transaction}) => transaction), query);
+    }
+
+    getEvents(query) {
+        const blockHeight = query.blockID ? this.getBlockHeightById(query.blockID) : null;
+        const heightInterval = query.height ? parseInterval(query.height) : null;
+        const events = this.events
+            .filter((event) => event.height <= this.chain.height)
+            .filter((event) =>
+                (!query.blockID || event.height === blockHeight) &&
+                (!heightInterval || inInterval(event.height, heightInterval))
+            )
+            .map(({height, ...event}) => {
+                const block = this.getBlock(height);
+                return {
+                    id: hash(`event-${height}-${event.index}`),
+                    ...event,
+                    block: {id: block.id, height: block.height, timestamp: block.timestamp},
+                };
+            });
+        return this.paginate(events, query);
+    }
+
+    getAuth(query) {
+        if (!isValidAddress(query.address)) {
+            throw new BadRequestError(`Invalid address ${query.address}`);
+        }
+        const account = this.accounts[query.address] || {nonce: '0', numberOfSignatures: 0, mandatoryKeys: [], optionalKeys: []};
+        return {data: account, meta: {address: query.address}};
+    }
+
+    getTokenBalances(query) {
+        if (!isValidAddress(query.address)) {
+            throw new BadRequestError(`Invalid address ${query.address}`);
+        }
+        const balances = (this.balances[query.address] || [])
+            .filter((balance) => !query.tokenID || balance.tokenID === query.tokenID);
+        const {data, meta} = this.paginate(balances, query);
+        return {data, meta: {...meta, address: query.address}};
+    }
+
+    getNetworkStatus() {
+        return {
+            data: {
+                chainID: this.chain.chainID,
+                genesisHeight: this.chain.genesisHeight,
+                height: this.chain.height,
+                finalizedHeight: this.chain.finalizedHeight,
+                blockTime: this.chain.blockTime,
+            },
+            meta: {},
+        };
+    }
+
+    getFees() {
+        return {
+            data: this.fees,
+            meta: {lastBlockHeight: this.chain.height, lastBlockID: this.getBlockId(this.chain.height)},
+        };
+    }
+
+    decodeTransaction(payload) {
+        try {
+            const transactionBytes = Buffer.from(payload.transaction, 'hex');
+            return {transactionBytes, transaction: liskCodec.decode(liskTransactions.baseTransactionSchema, transactionBytes)};
+        } catch (err) {
+            throw new BadRequestError(`Invalid transaction - ${err.message}`);
+        }
+    }
+
+    /**
+     * Only the nonce is checked against the sender account; any other transaction is executed successfully.
+     */
+    dryRunTransaction(payload) {
+        const {transaction} = this.decodeTransaction(payload);
+        const params = liskCodec.decodeJSON(transactionParamsSchemas[`${transaction.module}:${transaction.command}`], transaction.params);
+        const senderAddress = liskCryptography.address.getLisk32AddressFromPublicKey(transaction.senderPublicKey);
+        const account = this.accounts[senderAddress];
+        if (account && transaction.nonce < BigInt(account.nonce)) {
+            return {
+                data: {
+                    result: -1,
+                    status: 'invalid',
+                    events: [],
+                    errorMessage: `Incompatible transaction nonce for account: ${senderAddress}, Tx Nonce: ${transaction.nonce}, Account Nonce: ${account.nonce}`,
+                },
+                meta: {},
+            };
+        }
+        return {
+            data: {
+                result: 1,
+                status: 'valid',
+                events: [
+                    {module: 'token', name: 'transfer', data: {senderAddress, ...params, result: 0}},
+                    {module: 'token', name: 'commandExecutionResult', data: {success: true}},
+                ],
+            },
+            meta: {},
+        };
+    }
+
+    postTransaction(payload) {
+        const {transactionBytes, transaction} = this.decodeTransaction(payload);
+        const params = liskCodec.decodeJSON(transactionParamsSchemas[`${transaction.module}:${transaction.command}`], transaction.params);
+        const senderAddress = liskCryptography.address.getLisk32AddressFromPublicKey(transaction.senderPublicKey);
+        const transactionID = liskCryptography.utils.hash(transactionBytes).toString('hex');
+        this.pendingTransactions.push({
+            id: transactionID,
+            moduleCommand: `${transaction.module}:${transaction.command}`,
+            nonce: transaction.nonce.toString(),
+            fee: transaction.fee.toString(),
+            senderAddress,
+            senderPublicKey: transaction.senderPublicKey.toString('hex'),
+            params,
+            executionStatus: 'pending',
+            signatures: transaction.signatures.map((signature) => signature.toString('hex')),
+        });
+        return {transactionID, message: 'Transaction payload was successfully passed to the network node.'};
+    }
+
+    route(method, pathname, query, body) {
+        if (method === 'GET' && pathname === '/api/v3/blocks') {
+            return this.getBlocks(query);
+        }
+        if (method === 'GET' && pathname === '/api/v3/transactions') {
+            return this.getTransactions(query);
+        }
+        if (method === 'POST' && pathname === '/api/v3/transactions') {
+            return this.postTransaction(body);
+        }
+        if (method === 'POST' && pathname === '/api/v3/transactions/dryrun') {
+            return this.dryRunTransaction(body);
+        }
+        if (method === 'GET' && pathname === '/api/v3/events') {
+            return this.getEvents(query);
+        }
+        if (method === 'GET' && pathname === '/api/v3/auth') {
+            return this.getAuth(query);
+        }
+        if (method === 'GET' && pathname === '/api/v3/token/balances') {
+            return this.getTokenBalances(query);
+        }
+        if (method === 'GET' && pathname === '/api/v3/fees') {
+            return this.getFees();
+        }
+        if (method === 'GET' && pathname === '/api/v3/network/status') {
+            return this.getNetworkStatus();
+        }
+        return null;
+    }
+
+    handleRequest(req, res) {
+        let rawBody = '';
+        req.on('data', (chunk) => {
+            rawBody += chunk;
+        });
+        req.on('end', () => {
+            const {pathname, query} = url.parse(req.url, true);
+            this.receivedRequests.push({method: req.method, pathname, query});
+            const failureIndex = this.failures.findIndex((failure) => !failure.method || failure.method === req.method);
+            const failure = failureIndex === -1 ? null : this.failures.splice(failureIndex, 1)[0];
+            if (failure) {
+                res.writeHead(failure.status, {'Content-Type': 'application/json', ...failure.headers});
+                res.end(JSON.stringify({error: true, message: `Simulated failure with status ${failure.status}`}));
+                return;
+            }
+            let status = 200;
+            let responseBody;
+            try {
+                responseBody = this.route(req.method, pathname, query, rawBody ? JSON.parse(rawBody) : {});
+                if (!responseBody) {
+                    status = 404;
+                    responseBody = {error: true, message: `Route ${req.method} ${pathname} not found`};
+                }
+            } catch (err) {
+                status = err instanceof BadRequestError ? 400 : 500;
+                responseBody = {error: true, message: err.message};
+            }
+            res.writeHead(status, {'Content-Type': 'application/json'});
+            res.end(JSON.stringify(responseBody));
+        });
+    }
+}
+
+module.exports = LiskServiceMock;